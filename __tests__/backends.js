@@ -0,0 +1,308 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IdbFallback = require('../dist/idb-fallback.cjs.js');
+const FileSystemBackend = require('../dist/file-system-backend.cjs.js');
+
+describe('Backends', () => {
+  test('Store values in memory, without a browser', async () => {
+    const localStorage = new IdbFallback.MemoryStorage();
+    const options = { databaseName: 'memory-database', backend: 'memory', localStorage, onDisabled: () => {} };
+
+    const store = new IdbFallback(options);
+    await store.set('user', { name: 'Ada' });
+    const value = await store.get('user');
+    const keys = await store.keys();
+    await store.close();
+
+    // Instances with the same names share records, like IndexedDB
+    const sameVersion = new IdbFallback(options);
+    const persisted = await sameVersion.get('user');
+    await sameVersion.close();
+
+    const newVersion = new IdbFallback({ ...options, version: '0.2' });
+    const cleared = await newVersion.keys();
+    await newVersion.close();
+
+    expect(value).toEqual({ name: 'Ada' });
+    expect(keys).toEqual({ indexedDB: ['user'], memory: [] });
+    expect(persisted).toEqual({ name: 'Ada' });
+    expect(localStorage.getItem('__IndexedDB_version')).toBe('0.2');
+    expect(cleared).toEqual({ indexedDB: [], memory: [] });
+  });
+
+  test('Persist values to files', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'idb-fallback-'));
+    const options = {
+      databaseName: 'file-database',
+      backend: (databaseName, objectStoreName) => new FileSystemBackend(databaseName, objectStoreName, { directory }),
+      localStorage: new IdbFallback.MemoryStorage(),
+      onDisabled: () => {},
+    };
+
+    const store = new IdbFallback(options);
+    await store.setMany([
+      ['date', new Date(1000)],
+      ['tags', { names: ['a', 'b'] }],
+    ]);
+    await store.close();
+
+    const reopened = new IdbFallback(options);
+    const [date, tags] = await reopened.getMany(['date', 'tags']);
+    await reopened.close();
+
+    expect(fs.existsSync(path.join(directory, 'file-database', 'keyval.json'))).toBe(true);
+    expect(date).toEqual(new Date(1000));
+    expect(tags).toEqual({ names: ['a', 'b'] });
+  });
+
+  test('Hand off to other tabs with an injected coordinator', async () => {
+    let demote, promote;
+    const store = new IdbFallback({
+      databaseName: 'coordinated-database',
+      backend: 'memory',
+      localStorage: new IdbFallback.MemoryStorage(),
+      tabCoordinator: (name, { onDemote, onPromote }) => {
+        demote = onDemote;
+        promote = onPromote;
+        return () => {};
+      },
+      openChannel: () => ({ post: () => {}, close: () => {} }),
+      onDisabled: () => {},
+    });
+    await store.set('a', 1);
+    // Wait for the coordinator to be set up
+    await store.indexedDBReady;
+
+    await demote();
+    await store.set('b', 2);
+    const demotedKeys = await store.keys();
+
+    await promote();
+    const promotedKeys = await store.keys();
+    await store.close();
+
+    expect(demotedKeys).toEqual({ indexedDB: ['a'], memory: ['b'] });
+    expect(promotedKeys).toEqual({ indexedDB: ['a', 'b'], memory: [] });
+  });
+
+  test('Wait for the previous owner to stop writing before writing', async () => {
+    const coordinated = [];
+    const options = {
+      databaseName: 'handoff-database',
+      backend: 'memory',
+      localStorage: new IdbFallback.MemoryStorage(),
+      // Like the default coordinator, resolves once the previous owner has stopped writing
+      tabCoordinator: (name, { onDemote, onPromote }) => {
+        const previous = coordinated[coordinated.length - 1];
+        coordinated.push({ onDemote, onPromote });
+        return Promise.resolve(previous && previous.onDemote()).then(() => () => {});
+      },
+      openChannel: () => ({ post: () => {}, close: () => {} }),
+      onDisabled: () => {},
+    };
+    const store = new IdbFallback({ ...options, writeBehind: 60000 });
+    await store.indexedDBReady;
+    store.set('draft', 'set in the previous tab');
+
+    const newTab = new IdbFallback(options);
+    const draft = await newTab.get('draft');
+    const demotedKeys = await store.keys();
+    await newTab.close();
+    await store.close();
+
+    expect(draft).toBe('set in the previous tab');
+    expect(demotedKeys).toEqual({ indexedDB: ['draft'], memory: [] });
+  });
+
+  test('Write values stored in fallbackChain while demoted back on promotion', async () => {
+    let demote, promote;
+    const store = new IdbFallback({
+      databaseName: 'coordinated-fallback-chain-database',
+      backend: 'memory',
+      localStorage: new IdbFallback.MemoryStorage(),
+      sessionStorage: new IdbFallback.MemoryStorage(),
+      fallbackChain: ['sessionStorage'],
+      tabCoordinator: (name, { onDemote, onPromote }) => {
+        demote = onDemote;
+        promote = onPromote;
+        return () => {};
+      },
+      openChannel: () => ({ post: () => {}, close: () => {} }),
+      onDisabled: () => {},
+    });
+    await store.set('a', 1);
+    await store.indexedDBReady;
+
+    await demote();
+    await store.set('b', 2);
+    const demotedKeys = await store.keys();
+
+    await promote();
+    const promotedKeys = await store.keys();
+    await store.close();
+
+    expect(demotedKeys).toEqual({ indexedDB: ['a'], memory: [], sessionStorage: ['b'] });
+    expect(promotedKeys).toEqual({ indexedDB: ['a', 'b'], memory: [], sessionStorage: [] });
+  });
+
+  test('Read values from IndexedDB when accessed while demoted, hiding deleted keys', async () => {
+    let demote, promote;
+    const store = new IdbFallback({
+      databaseName: 'read-only-database',
+      backend: 'memory',
+      localStorage: new IdbFallback.MemoryStorage(),
+      tabCoordinator: (name, { onDemote, onPromote }) => {
+        demote = onDemote;
+        promote = onPromote;
+        return () => {};
+      },
+      openChannel: () => ({ post: () => {}, close: () => {} }),
+      onDisabled: () => {},
+    });
+    await store.setMany([
+      ['a', 1],
+      ['b', 2],
+      ['c', 3],
+    ]);
+    await store.indexedDBReady;
+
+    await demote();
+    const copiedKeys = Object.keys(store.fallbackStore);
+    await store.del('a');
+    await store.update('b', value => value * 10);
+    const demotedValues = await store.getMany(['a', 'b', 'c']);
+
+    await promote();
+    const promotedKeys = await store.keys();
+    const promotedValues = await store.getMany(['a', 'b', 'c']);
+    await store.close();
+
+    expect(copiedKeys).toEqual([]);
+    expect(demotedValues).toEqual([undefined, 20, 3]);
+    expect(promotedKeys).toEqual({ indexedDB: ['b', 'c'], memory: [] });
+    expect(promotedValues).toEqual([undefined, 20, 3]);
+  });
+
+  test('Publish changes made by operations still running when closed', async () => {
+    let isClosed = false;
+    const posted = [];
+    const store = new IdbFallback({
+      databaseName: 'closing-database',
+      backend: 'memory',
+      localStorage: new IdbFallback.MemoryStorage(),
+      openChannel: () => ({
+        // Like a closed BroadcastChannel
+        post: ({ type, key }) => {
+          if (isClosed) throw new Error('Channel is closed');
+          if (type !== 'query-subscribers') posted.push(key);
+        },
+        close: () => (isClosed = true),
+      }),
+      onDisabled: () => {},
+    });
+    await store.indexedDBReady;
+
+    const results = Promise.all([store.set('a', 1), store.update('b', () => 2), store.del('a')]);
+    await store.close();
+
+    await expect(results).resolves.toHaveLength(3);
+    expect(posted.sort()).toEqual(['a', 'a', 'b']);
+  });
+
+  test('Close the backend that failed to open before retrying', async () => {
+    let attempts = 0,
+      closed = 0;
+    const store = new IdbFallback({
+      databaseName: 'retry-database',
+      localStorage: new IdbFallback.MemoryStorage(),
+      onDisabled: () => {},
+      backend: (databaseName, objectStoreName) => {
+        const backend = new IdbFallback.MemoryBackend(databaseName, objectStoreName);
+        if (++attempts < 3) backend.ready = Promise.reject(new Error('Unable to open'));
+        backend.close = () => {
+          closed++;
+          return Promise.resolve();
+        };
+        return backend;
+      },
+    });
+    const retried = [await store.retry(), await store.retry()];
+    const closedBeforeClose = closed;
+    await store.close();
+
+    expect(retried).toEqual([false, true]);
+    expect(closedBeforeClose).toBe(2);
+    expect(closed).toBe(3);
+  });
+
+  test('Only post values to other instances while they have subscribers', async () => {
+    const instances = [];
+    const options = {
+      databaseName: 'posting-database',
+      backend: 'memory',
+      localStorage: new IdbFallback.MemoryStorage(),
+      // Relays messages to the other instances, like a BroadcastChannel
+      openChannel: (name, onMessage) => {
+        const instance = { onMessage, posted: [] };
+        instances.push(instance);
+        return {
+          post: message => {
+            instance.posted.push(message);
+            instances.filter(other => other !== instance).forEach(other => other.onMessage(message));
+          },
+          close: () => {},
+        };
+      },
+      onDisabled: () => {},
+    };
+    const store = new IdbFallback(options);
+    const otherStore = new IdbFallback(options);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    await store.set('draft', 'unwatched');
+    const changes = [];
+    const unsubscribe = otherStore.subscribe('draft', change => changes.push(change));
+    await store.set('draft', 'watched');
+    unsubscribe();
+    await store.set('draft', 'unwatched again');
+    await Promise.all([store.close(), otherStore.close()]);
+
+    const posted = instances[0].posted.filter(({ type }) => type === 'set');
+    expect(posted).toEqual([
+      { type: 'set', key: 'draft' },
+      { type: 'set', key: 'draft', oldValue: undefined, newValue: 'watched' },
+      { type: 'set', key: 'draft' },
+    ]);
+    expect(changes).toEqual([{ type: 'set', key: 'draft', newValue: 'watched', remote: true }]);
+  });
+
+  test('Write values waiting to be written before giving up ownership', async () => {
+    let release;
+    const store = new IdbFallback({
+      databaseName: 'releasing-database',
+      backend: 'memory',
+      localStorage: new IdbFallback.MemoryStorage(),
+      writeBehind: 60000,
+      tabCoordinator: (name, { onRelease }) => {
+        release = onRelease;
+        return () => {};
+      },
+      openChannel: () => ({ post: () => {}, close: () => {} }),
+      onDisabled: () => {},
+    });
+    await store.indexedDBReady;
+
+    const nothingToWrite = release();
+    store.set('draft', 'autosaved');
+    await release();
+    const [draft] = await store.baseBackend.getMany(['draft']);
+    await store.close();
+
+    expect(nothingToWrite).toBeUndefined();
+    expect(draft).toBe('autosaved');
+  });
+});
@@ -0,0 +1,68 @@
+const puppeteer = require('puppeteer');
+
+describe('Batch operations', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+
+    await page.evaluate(async () => {
+      window.batchStore = new IdbFallback({
+        databaseName: 'batch-database',
+        latestTabKey: '__test-batch-latest-tab',
+      });
+      await batchStore.indexedDBReady;
+    });
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Set many values, falling back to memory for values IndexedDB rejects', async () => {
+    const { results, values } = await page.evaluate(async () => {
+      const results = await batchStore.setMany([
+        ['chunk-1', 'first'],
+        ['chunk-2', { second: true }],
+        // Functions can't be cloned into IndexedDB
+        ['chunk-3', () => 'third'],
+      ]);
+      const values = await batchStore.getMany(['chunk-1', 'chunk-2', 'chunk-3']);
+      return { results, values: [values[0], values[1], values[2]()] };
+    });
+
+    expect(results).toEqual([{ store: 'IndexedDB' }, { store: 'IndexedDB' }, { store: 'memory' }]);
+    expect(values).toEqual(['first', { second: true }, 'third']);
+  });
+
+  test('List entries and values from IndexedDB and memory', async () => {
+    const { entries, values } = await page.evaluate(async () => {
+      const entries = await batchStore.entries();
+      const values = await batchStore.values();
+      return {
+        entries: entries.map(([key, value]) => [key, typeof value]),
+        values: values.filter(value => typeof value !== 'function'),
+      };
+    });
+
+    expect(entries).toEqual([
+      ['chunk-1', 'string'],
+      ['chunk-2', 'object'],
+      ['chunk-3', 'function'],
+    ]);
+    expect(values).toEqual(['first', { second: true }]);
+  });
+
+  test('Delete many values', async () => {
+    const keys = await page.evaluate(async () => {
+      await batchStore.delMany(['chunk-1', 'chunk-3']);
+      return await batchStore.keys();
+    });
+
+    expect(keys).toEqual({ indexedDB: ['chunk-2'], memory: [] });
+  });
+});
@@ -0,0 +1,92 @@
+const puppeteer = require('puppeteer');
+
+describe('Blob support', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+  const safariUserAgent =
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 12_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/12.1.2 Mobile/15E148 Safari/604.1';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Store Blobs as ArrayBuffers if the backend rejects them', async () => {
+    const { isBlobSupported, keys, text, type, name, isRecordBuffer } = await page.evaluate(async () => {
+      // Fails to store Blobs like older Safari builds
+      const backend = (databaseName, objectStoreName) => {
+        const memoryBackend = new IdbFallback.MemoryBackend(databaseName, objectStoreName);
+        const apply = memoryBackend.apply.bind(memoryBackend);
+        memoryBackend.apply = operations =>
+          operations.map(operation => {
+            if (operation.type !== 'put' || !(operation.value instanceof Blob)) return apply([operation])[0];
+            const error = new Error('An unknown error occurred within Indexed Database.');
+            error.name = 'DataCloneError';
+            return error;
+          });
+        return memoryBackend;
+      };
+
+      const store = new IdbFallback({
+        databaseName: 'blob-support-database',
+        latestTabKey: '__test-blob-support-latest-tab',
+        backend,
+      });
+      await store.set('note', new Blob(['autosaved'], { type: 'text/plain' }));
+      await store.set('upload', new File(['a,b'], 'upload.csv', { type: 'text/csv' }));
+      const [note, upload] = await store.getMany(['note', 'upload']);
+
+      return {
+        isBlobSupported: store.backend.isBlobSupported,
+        keys: await store.keys(),
+        text: await new Response(note).text(),
+        type: note.type,
+        name: upload.name,
+        isRecordBuffer: store.baseBackend.records.get('note').data instanceof ArrayBuffer,
+      };
+    });
+
+    expect(isBlobSupported).toBe(false);
+    expect(keys).toEqual({ indexedDB: ['note', 'upload'], memory: [] });
+    expect(text).toBe('autosaved');
+    expect(type).toBe('text/plain');
+    expect(name).toBe('upload.csv');
+    expect(isRecordBuffer).toBe(true);
+  });
+
+  test('Classify WebKit Private Browsing and quota errors', async () => {
+    const safariPage = await browser.newPage();
+    await safariPage.setUserAgent(safariUserAgent);
+    await safariPage.goto(localPath);
+
+    const codes = await safariPage.evaluate(async () => {
+      const failingBackend = name => () => {
+        const error = new Error('Failed to open database');
+        error.name = name;
+        return { ready: Promise.reject(error) };
+      };
+
+      return await Promise.all(
+        ['InvalidStateError', 'QuotaExceededError'].map(async name => {
+          const store = new IdbFallback({
+            databaseName: `blob-support-${name}-database`,
+            latestTabKey: `__test-blob-support-${name}-latest-tab`,
+            backend: failingBackend(name),
+            onDisabled: () => {},
+          });
+          await store.indexedDBReady;
+          return store.disabledCode;
+        })
+      );
+    });
+    await safariPage.close();
+
+    expect(codes).toEqual(['webkit_private_browsing', 'quota_exceeded']);
+  });
+});
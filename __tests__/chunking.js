@@ -0,0 +1,65 @@
+const puppeteer = require('puppeteer');
+
+describe('Chunking', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+  const imagePath = `${localPath}/__tests__/images`;
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Split large Blobs into chunks, and reassemble them', async () => {
+    const { size, type, isEqual, keys, recordCount } = await page.evaluate(async imagePath => {
+      const store = new IdbFallback({
+        databaseName: 'chunking-database',
+        latestTabKey: '__test-chunking-latest-tab',
+        chunking: { chunkSize: 512 * 1024, compress: true },
+      });
+      const image = await fetch(`${imagePath}/rona-lisa-2.3mb.jpg`).then(res => res.blob());
+      await store.set('image', image);
+      const storedImage = await store.get('image');
+
+      const [a, b] = await Promise.all([image, storedImage].map(blob => new Response(blob).arrayBuffer()));
+      const bytesA = new Uint8Array(a),
+        bytesB = new Uint8Array(b);
+      return {
+        size: storedImage.size,
+        type: storedImage.type,
+        isEqual: bytesA.length === bytesB.length && bytesA.every((byte, index) => byte === bytesB[index]),
+        keys: await store.keys(),
+        recordCount: (await store.baseBackend.keys()).length,
+      };
+    }, imagePath);
+
+    expect(size).toBeGreaterThan(2 * 1024 * 1024);
+    expect(type).toBe('image/jpeg');
+    expect(isEqual).toBe(true);
+    expect(keys).toEqual({ indexedDB: ['image'], memory: [] });
+    expect(recordCount).toBeGreaterThan(5);
+  });
+
+  test('Delete chunks with their value', async () => {
+    const recordKeys = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'chunking-delete-database',
+        latestTabKey: '__test-chunking-delete-latest-tab',
+        chunking: { chunkSize: 1024 },
+      });
+      await store.set('buffer', new Uint8Array(4000).buffer);
+      await store.set('blob', new Blob([new Uint8Array(4000)]));
+      await store.del('buffer');
+      await store.set('blob', 'replaced');
+      return await store.baseBackend.keys();
+    });
+
+    expect(recordKeys).toEqual(['__idbFallback_chunks', '__idbFallback_sentinel', '__idbFallback_version', 'blob']);
+  });
+});
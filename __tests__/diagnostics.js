@@ -0,0 +1,106 @@
+const puppeteer = require('puppeteer');
+
+describe('Diagnostics', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Time every get, set, del, clear, update and setIfUnchanged', async () => {
+    const timings = await page.evaluate(async () => {
+      const timings = [];
+      const store = new IdbFallback({
+        databaseName: 'diagnostics-timing-database',
+        latestTabKey: '__test-diagnostics-timing-latest-tab',
+        onTiming: timing => timings.push(timing),
+      });
+      await store.set('draft', 1);
+      await store.get('draft');
+      await store.setMany([['a', 1]], { ttl: -1 }).catch(() => {});
+      await store.update('draft', value => value + 1);
+      await store.setIfUnchanged('draft', 3, 4).catch(() => {});
+      await store.del('draft');
+      await store.clear();
+      return timings.map(({ operation, keys, objectStoreName, duration, useIndexedDB, error }) => ({
+        operation,
+        keys,
+        objectStoreName,
+        hasDuration: duration >= 0,
+        useIndexedDB,
+        failed: Boolean(error),
+      }));
+    });
+
+    const common = { objectStoreName: 'keyval', hasDuration: true, useIndexedDB: true };
+    expect(timings).toEqual([
+      { ...common, operation: 'set', keys: ['draft'], failed: false },
+      { ...common, operation: 'get', keys: ['draft'], failed: false },
+      { ...common, operation: 'set', keys: ['a'], failed: true },
+      { ...common, operation: 'update', keys: ['draft'], failed: false },
+      { ...common, operation: 'setIfUnchanged', keys: ['draft'], failed: true },
+      { ...common, operation: 'del', keys: ['draft'], failed: false },
+      { ...common, operation: 'clear', keys: [], failed: false },
+    ]);
+  });
+
+  test('Describe the state of the store', async () => {
+    const diagnostics = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'diagnostics-database',
+        latestTabKey: '__test-diagnostics-latest-tab',
+        version: '2',
+        simulate: { failKeys: ['rejected'] },
+        trackUsage: true,
+      });
+      await store.set('draft', 'x');
+      await store.set('rejected', 'y');
+      await store.get('draft');
+      return await store.diagnostics();
+    });
+
+    expect(diagnostics).toMatchObject({
+      backend: 'indexedDB',
+      useIndexedDB: true,
+      disabledReason: null,
+      version: { stored: '2', expected: '2' },
+      tabRole: 'owner',
+      keys: { indexedDB: 1, memory: 1 },
+      bytes: { indexedDB: 2, memory: 2 },
+      operations: {
+        set: { count: 2, errors: 0, recent: { calls: 2, errors: 0 } },
+        get: { count: 1, errors: 0, recent: { calls: 1, errors: 0 } },
+      },
+    });
+    expect(diagnostics.operations.set.recent.maxDuration).toBeGreaterThanOrEqual(0);
+  });
+
+  test("Don't flush writes or read every value", async () => {
+    const diagnostics = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'diagnostics-pending-database',
+        latestTabKey: '__test-diagnostics-pending-latest-tab',
+        writeBehind: 60000,
+      });
+      await store.indexedDBReady;
+      store.set('draft', 'x');
+      const diagnostics = await store.diagnostics();
+      await store.flush();
+      return diagnostics;
+    });
+
+    expect(diagnostics).toMatchObject({
+      keys: { indexedDB: 0, memory: 0 },
+      pendingWrites: 1,
+      bytes: { indexedDB: null },
+    });
+  });
+});
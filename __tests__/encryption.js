@@ -0,0 +1,94 @@
+const puppeteer = require('puppeteer');
+
+describe('Encryption', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Encrypt values at rest', async () => {
+    const { customer, isPlain, text } = await page.evaluate(async () => {
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const store = new IdbFallback({
+        databaseName: 'encryption-database',
+        latestTabKey: '__test-encryption-latest-tab',
+        encryption: { key },
+      });
+      await store.set('customer', { ssn: '444-44-4444', name: 'Bill' });
+      await store.set('note', new Blob(['secret'], { type: 'text/plain' }));
+
+      const [record] = await store.baseBackend.getMany(['customer']);
+      return {
+        customer: await store.get('customer'),
+        isPlain: JSON.stringify(record).includes('444-44-4444'),
+        text: await new Response(await store.get('note')).text(),
+      };
+    });
+
+    expect(customer).toEqual({ ssn: '444-44-4444', name: 'Bill' });
+    expect(isPlain).toBe(false);
+    expect(text).toBe('secret');
+  });
+
+  test('Detect wrong keys, and rotate keys', async () => {
+    const { code, rotatedCustomer } = await page.evaluate(async () => {
+      const settings = {
+        databaseName: 'encryption-rotation-database',
+        latestTabKey: '__test-encryption-rotation-latest-tab',
+        onDisabled: () => {},
+      };
+      const key = crypto.getRandomValues(new Uint8Array(32));
+      const newKey = crypto.getRandomValues(new Uint8Array(32));
+
+      const store = new IdbFallback({ ...settings, encryption: { key, hashKeyNames: true } });
+      await store.set('customer', { name: 'Bill' });
+      await store.close();
+
+      const wrongKeyStore = new IdbFallback({ ...settings, encryption: { key: newKey, hashKeyNames: true } });
+      const code = await new Promise(resolve => wrongKeyStore.on('disabled', event => resolve(event.code)));
+      await wrongKeyStore.close();
+
+      const rotatingStore = new IdbFallback({ ...settings, encryption: { key, hashKeyNames: true } });
+      await rotatingStore.rotateEncryptionKey(newKey);
+      await rotatingStore.close();
+
+      const rotatedStore = new IdbFallback({ ...settings, encryption: { key: newKey, hashKeyNames: true } });
+      return { code, rotatedCustomer: await rotatedStore.get('customer') };
+    });
+
+    expect(code).toBe('wrong_encryption_key');
+    expect(rotatedCustomer).toEqual({ name: 'Bill' });
+  });
+
+  test('Keep values out of fallbackChain', async () => {
+    const { fallbackWrite, storedKeys } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'encryption-fallback-database',
+        latestTabKey: '__test-encryption-fallback-latest-tab',
+        encryption: { key: crypto.getRandomValues(new Uint8Array(32)) },
+        fallbackChain: ['localStorage', 'sessionStorage'],
+      });
+      let fallbackWrite;
+      store.on('fallback-write', ({ store }) => (fallbackWrite = store));
+      store.disable('manual');
+      await store.set('customer', { ssn: '444-44-4444' });
+
+      const storedKeys = Object.keys(localStorage)
+        .concat(Object.keys(sessionStorage))
+        .filter(key => key.includes('encryption-fallback-database'));
+      return { fallbackWrite, storedKeys };
+    });
+
+    expect(fallbackWrite).toBe('memory');
+    expect(storedKeys).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+const puppeteer = require('puppeteer');
+
+describe('Events', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Emit lifecycle events with stable codes', async () => {
+    const events = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'events-database',
+        latestTabKey: '__test-events-latest-tab',
+      });
+      const events = [];
+      ['ready', 'fallback-write', 'disabled'].forEach(event => {
+        store.on(event, ({ code }) => events.push([event, code]));
+      });
+      await store.set('function', () => {});
+      store.disable('manual');
+      await store.set('text', 'memory');
+      return events;
+    });
+
+    expect(events).toEqual([
+      ['ready', null],
+      ['fallback-write', 'value_rejected'],
+      ['disabled', 'manual'],
+      ['fallback-write', 'indexeddb_disabled'],
+    ]);
+  });
+
+  test('Stop listening', async () => {
+    const { count, message } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'events-database',
+        latestTabKey: '__test-events-unsubscribe-latest-tab',
+      });
+      let count = 0;
+      const unsubscribe = store.on('fallback-write', () => count++);
+      store.disable('manual');
+      await store.set('a', 1);
+      unsubscribe();
+      await store.set('b', 2);
+
+      let message;
+      try {
+        store.on('unknown', () => {});
+      } catch (error) {
+        message = error.message;
+      }
+      return { count, message };
+    });
+
+    expect(count).toBe(1);
+    expect(message).toBe('Invalid event name');
+  });
+
+  test('Report handlers that throw as error events', async () => {
+    const errors = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'events-database',
+        latestTabKey: '__test-events-throw-latest-tab',
+      });
+      const errors = [];
+      store.on('error', ({ code, event, error }) => errors.push([code, event, error.message]));
+      store.on('error', () => {
+        throw new Error('Unreported');
+      });
+      store.on('fallback-write', () => {
+        throw new Error('Handler');
+      });
+      store.disable('manual');
+      await store.set('a', 1);
+      return errors;
+    });
+
+    expect(errors).toEqual([['handler_failed', 'fallback-write', 'Handler']]);
+  });
+});
@@ -0,0 +1,54 @@
+const puppeteer = require('puppeteer');
+
+describe('Expiration', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+  const settings = { databaseName: 'expiration-database', latestTabKey: '__test-expiration-latest-tab' };
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Treat expired keys as missing', async () => {
+    const { before, after } = await page.evaluate(async settings => {
+      window.expirationStore = new IdbFallback(settings);
+      await expirationStore.set('thumbnail', 'short-lived', { ttl: 200 });
+      await expirationStore.set('asset', 'long-lived', { expiresAt: Date.now() + 60000 });
+      // Functions can't be stored in IndexedDB, so this expires from memory
+      await expirationStore.set('callback', () => {}, { ttl: 200 });
+
+      const before = { keys: await expirationStore.keys(), thumbnail: await expirationStore.get('thumbnail') };
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const after = { keys: await expirationStore.keys(), thumbnail: await expirationStore.get('thumbnail') };
+      return { before, after };
+    }, settings);
+
+    expect(before.keys.indexedDB.sort()).toEqual(['asset', 'thumbnail']);
+    expect(before.keys.memory).toEqual(['callback']);
+    expect(before.thumbnail).toBe('short-lived');
+    expect(after.keys).toEqual({ indexedDB: ['asset'], memory: [] });
+    expect(after.thumbnail).toBe(undefined);
+  });
+
+  test('Delete expired keys on startup', async () => {
+    const indexedDBKeys = await page.evaluate(async settings => {
+      await expirationStore.set('draft', 'stale', { ttl: 100 });
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const newStore = new IdbFallback(settings);
+      await newStore.sweep();
+      // Bypass IdbFallback to look for the expired record itself
+      return await newStore.baseBackend.keys();
+    }, settings);
+
+    expect(indexedDBKeys).not.toContain('draft');
+    expect(indexedDBKeys).toContain('asset');
+  });
+});
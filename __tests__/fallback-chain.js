@@ -0,0 +1,74 @@
+const puppeteer = require('puppeteer');
+
+describe('Fallback chain', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    // Simulate a browser without IndexedDB (e.g. Private Browsing)
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(window, 'indexedDB', { value: undefined });
+    });
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  const settings = {
+    databaseName: 'fallback-chain-database',
+    fallbackChain: [{ type: 'localStorage', maxBytes: 10000 }, 'sessionStorage'],
+    onDisabled: () => {},
+  };
+
+  test('Store values in first tier with room for them', async () => {
+    const results = await page.evaluate(async settings => {
+      const store = new IdbFallback(settings);
+      return await Promise.all([
+        store.set('settings', { theme: 'dark', updated: new Date(0) }),
+        store.set('bytes', new Uint8Array([1, 2, 3]).buffer),
+        store.set('tooLargeForLocalStorage', 'x'.repeat(10000)),
+        store.set('function', () => {}, { useFallback: true }),
+      ]);
+    }, settings);
+
+    expect(results).toEqual([
+      { store: 'localStorage' },
+      { store: 'localStorage' },
+      { store: 'sessionStorage' },
+      { store: 'memory' },
+    ]);
+  });
+
+  test('Keep values in LocalStorage and SessionStorage across reloads', async () => {
+    await page.reload();
+    const { keys, values } = await page.evaluate(async settings => {
+      const store = new IdbFallback(settings);
+      const settingsValue = await store.get('settings');
+      const bytes = await store.get('bytes');
+      const keys = await store.keys();
+      keys.localStorage.sort();
+      return {
+        keys,
+        values: {
+          theme: settingsValue.theme,
+          isDate: settingsValue.updated instanceof Date,
+          bytes: Array.from(new Uint8Array(bytes)),
+          length: (await store.get('tooLargeForLocalStorage')).length,
+        },
+      };
+    }, settings);
+
+    expect(keys).toEqual({
+      indexedDB: [],
+      memory: [],
+      localStorage: ['bytes', 'settings'],
+      sessionStorage: ['tooLargeForLocalStorage'],
+    });
+    expect(values).toEqual({ theme: 'dark', isDate: true, bytes: [1, 2, 3], length: 10000 });
+  });
+});
@@ -1,7 +1,7 @@
 const puppeteer = require('puppeteer');
 
 describe('Store', async () => {
-  let browser, page, recordsToStore;
+  let browser, page, newTab, recordsToStore;
   const localPath = 'http://localhost:5000';
   const imagePath = `${localPath}/__tests__/images`;
 
@@ -141,7 +141,7 @@ describe('Store', async () => {
     expect(newStoreKeys).toEqual([]);
   });
 
-  test('Move values to memory when new tab is opened', async () => {
+  test('Only read from IndexedDB when new tab is opened', async () => {
     // Avoid disrupting existing database & object stores
     const newDatabaseSettings = {
       databaseName: 'new-database',
@@ -167,7 +167,7 @@ describe('Store', async () => {
     );
 
     // Open new tab and setup IndexedDB in it
-    const newTab = await browser.newPage();
+    newTab = await browser.newPage();
     await newTab.goto(localPath);
     newTab.once('load', () => {});
     newTab.on('console', msg => console.log(msg.text()));
@@ -176,7 +176,7 @@ describe('Store', async () => {
       // return await idbFallback.indexedDBReady;
     }, newDatabaseSettings);
 
-    // Ensure all data in existing app have been moved to memory
+    // Ensure existing app stopped writing to IndexedDB, but still reads from it,
     // after a brief delay
     const afterKeys = await page.evaluate(async () => {
       await waitSeconds(3);
@@ -195,8 +195,29 @@ describe('Store', async () => {
     expect(beforeKeys.indexedDB.sort()).toEqual(allKeys);
     expect(beforeKeys.memory).toEqual([]);
 
-    expect(afterKeys.indexedDB).toEqual([]);
-    expect(afterKeys.memory.sort()).toEqual(allKeys);
+    expect(afterKeys.indexedDB.sort()).toEqual(allKeys);
+    expect(afterKeys.memory).toEqual([]);
+  });
+
+  test('Move values back to IndexedDB when new tab is closed', async () => {
+    await page.evaluate(async () => {
+      await newTabIdbFallback.set('setWhileDemoted', true);
+    });
+
+    await newTab.close();
+
+    const afterKeys = await page.evaluate(async () => {
+      await waitSeconds(1);
+      return await newTabIdbFallback.keys();
+      function waitSeconds(seconds) {
+        return new Promise(resolve => {
+          setTimeout(resolve, seconds * 1000);
+        });
+      }
+    });
+
+    expect(afterKeys.indexedDB.sort()).toEqual(Object.keys(recordsToStore).concat('setWhileDemoted').sort());
+    expect(afterKeys.memory).toEqual([]);
   });
 });
 
@@ -0,0 +1,129 @@
+const puppeteer = require('puppeteer');
+
+describe('Migrations', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  const settings = {
+    databaseName: 'migrations-database',
+    versionKey: '__test-migrations-version',
+    latestTabKey: '__test-migrations-latest-tab',
+  };
+
+  test('Migrate values in place on version update', async () => {
+    const { values, change } = await page.evaluate(async settings => {
+      const oldStore = new IdbFallback({ ...settings, version: '1' });
+      await oldStore.set('celsius', 100);
+      await oldStore.set('obsolete', true);
+
+      let change;
+      const newStore = new IdbFallback({
+        ...settings,
+        version: '3',
+        migrations: {
+          '1': null,
+          '2': (value, key) => (key === 'obsolete' ? undefined : value),
+          '3': async (value, key) => (key === 'celsius' ? (value * 9) / 5 + 32 : value),
+        },
+        onVersionChange: obj => (change = obj),
+      });
+      const keys = await newStore.keys();
+      const values = { keys: keys.indexedDB, celsius: await newStore.get('celsius') };
+      return { values, change };
+    }, settings);
+
+    expect(values).toEqual({ keys: ['celsius'], celsius: 212 });
+    expect(change).toEqual({ from: '1', to: '3', path: ['2', '3'], cleared: false });
+  });
+
+  test('Clear store when no migration path exists', async () => {
+    const { keys, change } = await page.evaluate(async settings => {
+      let change;
+      const store = new IdbFallback({
+        ...settings,
+        version: '4',
+        migrations: { '1': null, '2': value => value },
+        onVersionChange: obj => (change = obj),
+      });
+      const keys = await store.keys().then(keys => keys.indexedDB);
+      return { keys, change };
+    }, settings);
+
+    expect(keys).toEqual([]);
+    expect(change).toEqual({ from: '3', to: '4', path: [], cleared: true });
+  });
+
+  test('Keep records and version when a transform throws', async () => {
+    const { values, code, change } = await page.evaluate(async settings => {
+      const oldStore = new IdbFallback({ ...settings, version: '5' });
+      await oldStore.set('draft', 'kept');
+      await oldStore.close();
+
+      let change;
+      const newStore = new IdbFallback({
+        ...settings,
+        version: '6',
+        migrations: {
+          '5': null,
+          '6': () => {
+            throw new Error('Unexpected record');
+          },
+        },
+        onVersionChange: obj => (change = obj),
+        onDisabled: () => {},
+      });
+      await newStore.indexedDBReady;
+      await newStore.close();
+
+      const reopened = new IdbFallback({ ...settings, version: '5' });
+      return { values: await reopened.get('draft'), code: newStore.disabledCode, change };
+    }, settings);
+
+    expect(values).toBe('kept');
+    expect(code).toBe('migration_failed');
+    expect(change).toBeUndefined();
+  });
+
+  test('Migrate once when several tabs open at the same time', async () => {
+    const { values, calls, changes } = await page.evaluate(async settings => {
+      const oldStore = new IdbFallback({ ...settings, version: '7' });
+      await oldStore.set('count', 1);
+      await oldStore.close();
+
+      let calls = 0;
+      const changes = [];
+      const options = {
+        ...settings,
+        version: '8',
+        disableOnNewTabOpen: false,
+        migrations: {
+          '7': null,
+          '8': async value => {
+            calls++;
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return value * 10;
+          },
+        },
+        onVersionChange: obj => changes.push(obj),
+      };
+      const stores = [new IdbFallback(options), new IdbFallback(options)];
+      await Promise.all(stores.map(store => store.indexedDBReady));
+      return { values: await Promise.all(stores.map(store => store.get('count'))), calls, changes };
+    }, settings);
+
+    expect(values).toEqual([10, 10]);
+    expect(calls).toBe(1);
+    expect(changes).toEqual([{ from: '7', to: '8', path: ['8'], cleared: false }]);
+  });
+});
@@ -0,0 +1,139 @@
+const puppeteer = require('puppeteer');
+
+describe('Namespaces', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Keep object stores in the same database separate', async () => {
+    const { keys, thumbnailKeys, objectStoreNames } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'namespace-database',
+        latestTabKey: '__test-namespace-latest-tab',
+        stores: ['thumbnails'],
+      });
+      const thumbnails = store.namespace('thumbnails');
+      await store.set('document', 'text');
+      await thumbnails.set('thumbnail', 'image');
+      await thumbnails.clear();
+
+      // Added after the database was opened, so it's upgraded
+      await store.namespace('drafts').set('draft', 'text');
+
+      const db = await new Promise(resolve => {
+        const request = indexedDB.open('namespace-database');
+        request.onsuccess = () => resolve(request.result);
+      });
+      const objectStoreNames = Array.from(db.objectStoreNames);
+      db.close();
+
+      return { keys: await store.keys(), thumbnailKeys: await thumbnails.keys(), objectStoreNames };
+    });
+
+    expect(keys).toEqual({ indexedDB: ['document'], memory: [] });
+    expect(thumbnailKeys).toEqual({ indexedDB: [], memory: [] });
+    expect(objectStoreNames).toEqual(['drafts', 'keyval', 'thumbnails']);
+  });
+
+  test('Reset versions independently', async () => {
+    const { keys, thumbnailKeys } = await page.evaluate(async () => {
+      const settings = {
+        databaseName: 'namespace-database',
+        latestTabKey: '__test-namespace-version-latest-tab',
+      };
+      const store = new IdbFallback({ ...settings, stores: ['thumbnails'] });
+      await store.set('document', 'text');
+      await store.namespace('thumbnails').set('thumbnail', 'image');
+      await store.close();
+
+      const newStore = new IdbFallback({ ...settings, stores: [{ name: 'thumbnails', version: '0.2' }] });
+      return { keys: await newStore.keys(), thumbnailKeys: await newStore.namespace('thumbnails').keys() };
+    });
+
+    expect(keys.indexedDB).toContain('document');
+    expect(thumbnailKeys).toEqual({ indexedDB: [], memory: [] });
+  });
+
+  test('Disable a namespace whose upgrade is blocked, until the connection blocking it closes', async () => {
+    const { readyBeforeClose, codes, valueAfterClose, readyAfterClose } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'namespace-blocked-database',
+        latestTabKey: '__test-namespace-blocked-latest-tab',
+      });
+      await store.set('document', 'text');
+
+      // Like a tab running an older release, which doesn't close its connection when asked to
+      const blocker = await new Promise(resolve => {
+        const request = indexedDB.open('namespace-blocked-database');
+        request.onsuccess = () => resolve(request.result);
+      });
+
+      const drafts = store.namespace('drafts');
+      const codes = [];
+      drafts.on('disabled', ({ code }) => codes.push(code));
+      const readyBeforeClose = await drafts.indexedDBReady;
+
+      blocker.close();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return {
+        readyBeforeClose,
+        codes,
+        valueAfterClose: await store.get('document'),
+        readyAfterClose: await drafts.retry(),
+      };
+    });
+
+    expect(readyBeforeClose).toBe(false);
+    expect(codes).toEqual(['upgrade_blocked']);
+    expect(valueAfterClose).toBe('text');
+    expect(readyAfterClose).toBe(true);
+  });
+
+  test('Keep using the other object stores while an upgrade is blocked', async () => {
+    const { codes, value, storedIn, namespaceCodes } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'namespace-blocked-others-database',
+        latestTabKey: '__test-namespace-blocked-others-latest-tab',
+        stores: ['thumbnails'],
+      });
+      const thumbnails = store.namespace('thumbnails');
+      await store.set('document', 'text');
+      await thumbnails.set('thumbnail', 'image');
+
+      // Like a tab running an older release, which doesn't close its connection when asked to
+      const blocker = await new Promise(resolve => {
+        const request = indexedDB.open('namespace-blocked-others-database');
+        request.onsuccess = () => resolve(request.result);
+      });
+
+      const codes = [];
+      store.on('disabled', ({ code }) => codes.push(code));
+      thumbnails.on('disabled', ({ code }) => codes.push(code));
+      const drafts = store.namespace('drafts');
+      const namespaceCodes = [];
+      drafts.on('disabled', ({ code }) => namespaceCodes.push(code));
+      await drafts.indexedDBReady;
+
+      // Browsers open the database again once the connection blocking the upgrade is closed
+      const pending = Promise.all([store.get('document'), thumbnails.set('thumbnail', 'resized')]);
+      blocker.close();
+      const [value, { store: storedIn }] = await pending;
+      return { codes, value, storedIn, namespaceCodes };
+    });
+
+    expect(namespaceCodes).toEqual(['upgrade_blocked']);
+    expect(codes).toEqual([]);
+    expect(value).toBe('text');
+    expect(storedIn).toBe('IndexedDB');
+  });
+});
@@ -0,0 +1,93 @@
+const puppeteer = require('puppeteer');
+
+describe('Persistence', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Request persistent storage and report it', async () => {
+    const { status, requested } = await page.evaluate(async () => {
+      let requested = false;
+      navigator.storage.persist = () => {
+        requested = true;
+        return Promise.resolve(true);
+      };
+      navigator.storage.persisted = () => Promise.resolve(requested);
+
+      const store = new IdbFallback({
+        databaseName: 'persistence-database',
+        latestTabKey: '__test-persistence-latest-tab',
+        persist: true,
+      });
+      return { status: await store.status(), requested };
+    });
+
+    expect(requested).toBe(true);
+    expect(status).toEqual({ useIndexedDB: true, code: null, readOnly: false, persisted: true, evicted: false });
+  });
+
+  test('Detect eviction, but not version resets or clears', async () => {
+    const { beforeEviction, afterEviction, event, value } = await page.evaluate(async () => {
+      const settings = {
+        databaseName: 'eviction-database',
+        latestTabKey: '__test-eviction-latest-tab',
+        version: '1',
+        onVersionChange: () => {},
+      };
+      const open = overrides => {
+        const store = new IdbFallback({ ...settings, ...overrides });
+        let event;
+        store.on('evicted', obj => (event = obj));
+        return store.indexedDBReady.then(() => ({ store, event }));
+      };
+
+      let { store } = await open();
+      await store.set('draft', 1);
+      await store.clear();
+      await store.close();
+      ({ store } = await open({ version: '2' }));
+      const beforeEviction = await store.status();
+      await store.set('draft', 2);
+      await store.close();
+
+      // Browsers delete the whole database when evicting an origin
+      await new Promise(resolve => (indexedDB.deleteDatabase(settings.databaseName).onsuccess = resolve));
+      let event;
+      ({ store, event } = await open({ version: '2' }));
+      return { beforeEviction, afterEviction: await store.status(), event, value: await store.get('draft') };
+    });
+
+    expect(beforeEviction.evicted).toBe(false);
+    expect(afterEviction.evicted).toBe(true);
+    expect(event).toEqual({ code: 'storage_evicted', createdAt: expect.any(Number) });
+    expect(value).toBeUndefined();
+  });
+
+  test("Don't mistake a new database or object store for an evicted one", async () => {
+    const events = await page.evaluate(async () => {
+      const events = [];
+      const open = settings => {
+        const store = new IdbFallback({ latestTabKey: '__test-eviction-scope-latest-tab', ...settings });
+        store.on('evicted', () => events.push(settings));
+        return store.indexedDBReady.then(() => store.close());
+      };
+
+      await open({ databaseName: 'eviction-scope-database' });
+      await open({ databaseName: 'eviction-scope-other-database' });
+      await open({ databaseName: 'eviction-scope-database', objectStoreName: 'other' });
+      return events;
+    });
+
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+const puppeteer = require('puppeteer');
+
+describe('Queries', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('List keys by prefix, range and limit', async () => {
+    const { prefixed, ranged } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'queries-database',
+        latestTabKey: '__test-queries-latest-tab',
+      });
+      await store.setMany([
+        ['draft:a', 1],
+        ['draft:b', 2],
+        ['draft:c', 3],
+        ['photo:a', 4],
+      ]);
+      // Values IndexedDB can't store are kept in memory
+      await store.set('draft:function', () => {});
+
+      return {
+        prefixed: await store.keys({ prefix: 'draft:', limit: 3 }),
+        ranged: await store.keys({ range: IDBKeyRange.bound('draft:b', 'draft:z') }),
+      };
+    });
+
+    expect(prefixed).toEqual({ indexedDB: ['draft:a', 'draft:b', 'draft:c'], memory: [] });
+    expect(ranged).toEqual({ indexedDB: ['draft:b', 'draft:c'], memory: ['draft:function'] });
+  });
+
+  test('Iterate in batches, and clear by prefix', async () => {
+    const { iterated, keys } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'queries-database',
+        latestTabKey: '__test-queries-iterate-latest-tab',
+      });
+      await store.clear();
+      await store.setMany(Array.from({ length: 25 }, (_, index) => [`item:${String(index).padStart(2, '0')}`, index]));
+
+      const iterated = [];
+      for await (const [key, value] of store.iterate({ prefix: 'item:', batchSize: 10 })) {
+        iterated.push(value);
+      }
+
+      await store.clear({ prefix: 'item:1' });
+      return { iterated, keys: await store.keys() };
+    });
+
+    expect(iterated).toEqual(Array.from({ length: 25 }, (_, index) => index));
+    expect(keys.indexedDB).toHaveLength(15);
+    expect(keys.indexedDB).not.toContain('item:10');
+  });
+
+  test('Fill each batch despite chunk records and hashed key names', async () => {
+    const { iterated, keys } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'queries-chunks-database',
+        latestTabKey: '__test-queries-chunks-latest-tab',
+        chunking: { chunkSize: 4 },
+        encryption: { key: crypto.getRandomValues(new Uint8Array(32)), hashKeyNames: true },
+      });
+      await store.setMany([
+        [1, new Uint8Array(20).buffer],
+        [2, new Uint8Array(20).buffer],
+        [3, 'small'],
+        ['a', new Uint8Array(20).buffer],
+      ]);
+
+      const iterated = [];
+      for await (const [key] of store.iterate({ batchSize: 1 })) iterated.push(key);
+      return { iterated, keys: await store.keys({ limit: 3 }) };
+    });
+
+    expect(iterated).toEqual([1, 2, 3, 'a']);
+    expect(keys.indexedDB).toEqual([1, 2, 3]);
+  });
+});
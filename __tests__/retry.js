@@ -0,0 +1,75 @@
+const puppeteer = require('puppeteer');
+
+describe('Retry', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Re-open IndexedDB and move values back from memory', async () => {
+    const { before, after, recovered, isRecovered } = await page.evaluate(async () => {
+      // Simulate a transient failure to open the database
+      const open = IDBFactory.prototype.open;
+      IDBFactory.prototype.open = () => {
+        throw new Error('Transient failure');
+      };
+
+      let recovered;
+      const store = new IdbFallback({
+        databaseName: 'retry-database',
+        latestTabKey: '__test-retry-latest-tab',
+        onDisabled: () => {},
+        onRecovered: obj => (recovered = obj),
+      });
+      await store.set('draft', 'unsaved work');
+      const before = await store.keys();
+
+      IDBFactory.prototype.open = open;
+      const isRecovered = await store.retry();
+      const after = await store.keys();
+      return { before, after, recovered, isRecovered };
+    });
+
+    expect(before).toEqual({ indexedDB: [], memory: ['draft'] });
+    expect(isRecovered).toBe(true);
+    expect(after).toEqual({ indexedDB: ['draft'], memory: [] });
+    expect(recovered).toEqual({ previousReason: 'indexedDB.open failed', flushedKeys: ['draft'], failedKeys: [] });
+  });
+
+  test('Retry automatically with backoff', async () => {
+    const { disabledReason, keys } = await page.evaluate(async () => {
+      const open = IDBFactory.prototype.open;
+      IDBFactory.prototype.open = () => {
+        throw new Error('Transient failure');
+      };
+
+      const store = new IdbFallback({
+        databaseName: 'retry-database',
+        latestTabKey: '__test-auto-retry-latest-tab',
+        retryDelay: 50,
+        onDisabled: () => {},
+      });
+      await store.set('autosave', 'unsaved work');
+
+      // Let a few retries fail before IndexedDB becomes available again
+      await new Promise(resolve => setTimeout(resolve, 200));
+      IDBFactory.prototype.open = open;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      return { disabledReason: store.disabledReason, keys: await store.keys() };
+    });
+
+    expect(disabledReason).toBe(null);
+    expect(keys.indexedDB).toContain('autosave');
+    expect(keys.memory).toEqual([]);
+  });
+});
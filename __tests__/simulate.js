@@ -0,0 +1,87 @@
+const puppeteer = require('puppeteer');
+
+describe('Simulate', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Fail to open IndexedDB with browser-specific codes', async () => {
+    const results = await page.evaluate(async () => {
+      return await Promise.all(
+        ['firefox_private_browsing', 'backend_unavailable', 'quota_exceeded'].map(async openFailure => {
+          let reason;
+          const store = new IdbFallback({
+            databaseName: `simulate-${openFailure}-database`,
+            latestTabKey: `__test-simulate-${openFailure}-latest-tab`,
+            onDisabled: obj => (reason = obj.reason),
+            simulate: { openFailure },
+          });
+          const result = await store.set('draft', 1);
+          return { code: store.disabledCode, reason, result };
+        })
+      );
+    });
+
+    expect(results).toEqual([
+      { code: 'firefox_private_browsing', reason: 'firefox_private_browsing', result: { store: 'memory' } },
+      { code: 'backend_unavailable', reason: 'new idbKeyval.Store failed', result: { store: 'memory' } },
+      { code: 'quota_exceeded', reason: 'quota_exceeded', result: { store: 'memory' } },
+    ]);
+  });
+
+  test('Fail writes, and open a new tab', async () => {
+    const { results, keys, errorCodes, reason, afterNewTab } = await page.evaluate(async () => {
+      let reason;
+      const errorCodes = [];
+      const store = new IdbFallback({
+        databaseName: 'simulate-writes-database',
+        latestTabKey: '__test-simulate-writes-latest-tab',
+        onDisabled: obj => (reason = obj.reason),
+        simulate: { quotaExceededAfterBytes: 1000, failKeys: ['rejected'], newTabAfterMs: 200 },
+      });
+      store.on('error', ({ code }) => errorCodes.push(code));
+
+      const results = await Promise.all([
+        store.set('small', 'x'),
+        store.set('large', 'x'.repeat(1000)),
+        store.set('rejected', 'x'),
+      ]);
+      const keys = await store.keys();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { results, keys, errorCodes, reason, afterNewTab: await store.set('small', 'y') };
+    });
+
+    expect(results).toEqual([{ store: 'IndexedDB' }, { store: 'memory' }, { store: 'memory' }]);
+    expect(keys).toEqual({ indexedDB: ['small'], memory: ['large', 'rejected'] });
+    expect(errorCodes).toEqual(['transaction_failed']);
+    expect(reason).toBe('new_tab_opened');
+    expect(afterNewTab).toEqual({ store: 'memory' });
+  });
+
+  test('Fail writes under keys whose names are hashed', async () => {
+    const { results, keys } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'simulate-hashed-database',
+        latestTabKey: '__test-simulate-hashed-latest-tab',
+        encryption: { key: crypto.getRandomValues(new Uint8Array(32)), hashKeyNames: true },
+        simulate: { failKeys: ['rejected'] },
+      });
+
+      const results = await Promise.all([store.set('stored', 'x'), store.set('rejected', 'x')]);
+      return { results, keys: await store.keys() };
+    });
+
+    expect(results).toEqual([{ store: 'IndexedDB' }, { store: 'memory' }]);
+    expect(keys).toEqual({ indexedDB: ['stored'], memory: ['rejected'] });
+  });
+});
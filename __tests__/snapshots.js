@@ -0,0 +1,101 @@
+const puppeteer = require('puppeteer');
+
+describe('Snapshots', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Export and import Blobs, ArrayBuffers and Dates', async () => {
+    const { importedKeys, keys, text, savedAt, isBufferEqual } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'export-database',
+        latestTabKey: '__test-export-latest-tab',
+      });
+      const buffer = new Uint8Array([1, 2, 3]).buffer;
+      await store.setMany([
+        ['note', new Blob(['autosaved'], { type: 'text/plain' })],
+        ['buffer', buffer],
+        ['savedAt', new Date(1000)],
+      ]);
+      const snapshot = await store.export();
+
+      const newStore = new IdbFallback({
+        databaseName: 'import-database',
+        latestTabKey: '__test-import-latest-tab',
+      });
+      await newStore.set('stale', true);
+      const importedKeys = await newStore.import(snapshot, { mode: 'replace' });
+      const [note, importedBuffer, savedAt] = await newStore.getMany(['note', 'buffer', 'savedAt']);
+
+      return {
+        importedKeys,
+        keys: await newStore.keys(),
+        text: await new Response(note).text(),
+        savedAt: savedAt.getTime(),
+        isBufferEqual: areBuffersEqual(buffer, importedBuffer),
+      };
+    });
+
+    expect(importedKeys.sort()).toEqual(['buffer', 'note', 'savedAt']);
+    expect(keys).toEqual({ indexedDB: ['buffer', 'note', 'savedAt'], memory: [] });
+    expect(text).toBe('autosaved');
+    expect(savedAt).toBe(1000);
+    expect(isBufferEqual).toBe(true);
+  });
+
+  test('Reject snapshots with another version', async () => {
+    const message = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'export-database',
+        latestTabKey: '__test-export-version-latest-tab',
+      });
+      const snapshot = await store.export();
+
+      const newStore = new IdbFallback({
+        databaseName: 'import-version-database',
+        latestTabKey: '__test-import-version-latest-tab',
+        version: '0.2',
+      });
+      return await newStore.import(snapshot).catch(error => error.message);
+    });
+
+    expect(message).toBe("Snapshot version 0.1 doesn't match 0.2");
+  });
+
+  test('Leave the store unchanged if replacing it fails', async () => {
+    const { errorName, keys, value } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'export-large-database',
+        latestTabKey: '__test-export-large-latest-tab',
+      });
+      await store.setMany([
+        ['small', 'x'],
+        ['large', 'x'.repeat(1000)],
+      ]);
+      const snapshot = await store.export();
+
+      const newStore = new IdbFallback({
+        databaseName: 'import-quota-database',
+        latestTabKey: '__test-import-quota-latest-tab',
+        simulate: { quotaExceededAfterBytes: 1000 },
+      });
+      await newStore.set('kept', 'y');
+      const errorName = await newStore.import(snapshot, { mode: 'replace' }).catch(error => error.name);
+      return { errorName, keys: await newStore.keys(), value: await newStore.get('kept') };
+    });
+
+    expect(errorName).toBe('QuotaExceededError');
+    expect(keys).toEqual({ indexedDB: ['kept'], memory: [] });
+    expect(value).toBe('y');
+  });
+});
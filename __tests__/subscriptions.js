@@ -0,0 +1,67 @@
+const puppeteer = require('puppeteer');
+
+describe('Subscriptions', async () => {
+  let browser, page, otherTab;
+  const localPath = 'http://localhost:5000';
+  const settings = { databaseName: 'subscriptions-database', latestTabKey: '__test-subscriptions-latest-tab' };
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+
+    otherTab = await browser.newPage();
+    await otherTab.goto(localPath);
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Notify local subscribers of set, del and clear', async () => {
+    const changes = await page.evaluate(async settings => {
+      window.subscriptionStore = new IdbFallback({ ...settings, disableOnNewTabOpen: false });
+      const changes = [];
+      const unsubscribe = subscriptionStore.subscribe('doc:', change => changes.push(change), { prefix: true });
+      await subscriptionStore.set('doc:1', 'first');
+      await subscriptionStore.set('doc:1', 'second');
+      await subscriptionStore.set('ignored', true);
+      await subscriptionStore.del('doc:1');
+      await subscriptionStore.clear();
+      unsubscribe();
+      await subscriptionStore.set('doc:2', 'unsubscribed');
+      return changes;
+    }, settings);
+
+    expect(changes).toEqual([
+      { type: 'set', key: 'doc:1', newValue: 'first', remote: false },
+      { type: 'set', key: 'doc:1', oldValue: 'first', newValue: 'second', remote: false },
+      { type: 'del', key: 'doc:1', oldValue: 'second', remote: false },
+      { type: 'clear', remote: false },
+    ]);
+  });
+
+  test('Notify subscribers of changes made in another tab', async () => {
+    await page.evaluate(() => {
+      window.remoteChanges = [];
+      subscriptionStore.subscribe('shared', change => remoteChanges.push(change));
+    });
+
+    await otherTab.evaluate(async settings => {
+      const store = new IdbFallback({ ...settings, disableOnNewTabOpen: false });
+      await store.set('shared', { title: 'From another tab' });
+      await store.del('shared');
+    }, settings);
+
+    const changes = await page.evaluate(async () => {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      return remoteChanges;
+    });
+
+    expect(changes).toEqual([
+      { type: 'set', key: 'shared', newValue: { title: 'From another tab' }, remote: true },
+      { type: 'del', key: 'shared', remote: true },
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+const puppeteer = require('puppeteer');
+
+describe('Update', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Apply concurrent updates without losing any', async () => {
+    const { count, value } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'update-database',
+        latestTabKey: '__test-update-latest-tab',
+      });
+      const results = await Promise.all([1, 2, 3, 4, 5].map(() => store.update('count', n => (n || 0) + 1)));
+      return { count: await store.get('count'), value: results[4].value };
+    });
+
+    expect(count).toBe(5);
+    expect(value).toBe(5);
+  });
+
+  test('Only set if unchanged', async () => {
+    const { result, error, manifest } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'update-database',
+        latestTabKey: '__test-set-if-unchanged-latest-tab',
+      });
+      await store.set('manifest', { files: ['a.png'] });
+
+      const result = await store.setIfUnchanged('manifest', { files: ['a.png'] }, { files: ['a.png', 'b.png'] });
+      const error = await store
+        .setIfUnchanged('manifest', { files: ['a.png'] }, { files: [] })
+        .catch(error => ({ name: error.name, value: error.value }));
+      return { result, error, manifest: await store.get('manifest') };
+    });
+
+    expect(result).toEqual({ store: 'IndexedDB' });
+    expect(error).toEqual({ name: 'ConflictError', value: { files: ['a.png', 'b.png'] } });
+    expect(manifest).toEqual({ files: ['a.png', 'b.png'] });
+  });
+});
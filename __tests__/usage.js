@@ -0,0 +1,60 @@
+const puppeteer = require('puppeteer');
+
+describe('Usage and eviction', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+  const imagePath = `${localPath}/__tests__/images`;
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Evict least-recently used keys to stay within maxBytes', async () => {
+    const { results, keys, usage } = await page.evaluate(async imagePath => {
+      // Images are 25kb and 1.4mb
+      const smallBlob = await fetch(`${imagePath}/hawaiian-collar-25kb.png`).then(res => res.blob());
+      const largeBlob = await fetch(`${imagePath}/puck-1.4mb.png`).then(res => res.blob());
+
+      const store = new IdbFallback({
+        databaseName: 'usage-database',
+        latestTabKey: '__test-usage-latest-tab',
+        maxBytes: 2 * 1024 * 1024,
+      });
+      const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+
+      const results = [];
+      results.push(await store.set('thumbnail', smallBlob, { pinned: true }));
+      await wait();
+      results.push(await store.set('old-project', largeBlob));
+      await wait();
+      // Needs room, so evicts old-project (but never the pinned thumbnail)
+      results.push(await store.set('new-project', largeBlob));
+      await wait();
+      // Doesn't fit even after evicting everything else, so falls back to memory
+      results.push(await store.set('huge-project', new Blob([largeBlob, largeBlob])));
+
+      const keys = await store.keys();
+      keys.indexedDB.sort();
+      return { results, keys, usage: await store.usage() };
+    }, imagePath);
+
+    expect(results).toEqual([
+      { store: 'IndexedDB' },
+      { store: 'IndexedDB' },
+      { store: 'IndexedDB' },
+      { store: 'memory' },
+    ]);
+    expect(keys).toEqual({ indexedDB: ['new-project', 'thumbnail'], memory: ['huge-project'] });
+    expect(usage.indexedDB).toBeGreaterThan(1.4 * 1000 * 1000);
+    expect(usage.indexedDB).toBeLessThan(2 * 1024 * 1024);
+    expect(usage.memory).toBeGreaterThan(2.7 * 1000 * 1000);
+    expect(usage.maxBytes).toBe(2 * 1024 * 1024);
+  });
+});
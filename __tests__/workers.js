@@ -0,0 +1,130 @@
+const puppeteer = require('puppeteer');
+
+describe('Workers', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Share a store with a Web Worker', async () => {
+    const { workerResult, workerPromoted, valueFromWorker, disabledCode } = await page.evaluate(async () => {
+      const settings = {
+        databaseName: 'workers-database',
+        latestTabKey: '__test-workers-latest-tab',
+        version: '1',
+        onDisabled: () => {},
+      };
+      const store = new IdbFallback(settings);
+      await store.set('fromPage', 1);
+
+      // Workers have no localStorage or window
+      const source = `
+        importScripts('${location.origin}/dist/idb-fallback.umd.js');
+        onmessage = async ({ data: settings }) => {
+          const store = new IdbFallback({ ...settings, onDisabled: () => {} });
+          store.on('tab-promoted', ({ flushedKeys }) => postMessage({ flushedKeys }));
+          const fromPage = await store.get('fromPage');
+          const { store: storedIn } = await store.set('fromWorker', 2);
+          postMessage({ fromPage, storedIn, useIndexedDB: await store.indexedDBReady });
+        };
+      `;
+      const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+      const nextMessage = () => new Promise(resolve => (worker.onmessage = event => resolve(event.data)));
+      const started = nextMessage();
+      worker.postMessage({ databaseName: settings.databaseName, latestTabKey: settings.latestTabKey, version: '1' });
+      const workerResult = await started;
+      const disabledCode = store.disabledCode;
+
+      // Once the page is closed, the worker owns the store, and writes values it kept in memory to it
+      const promoted = nextMessage();
+      await store.close();
+      const workerPromoted = await promoted;
+      const reopened = new IdbFallback(settings);
+      const valueFromWorker = await reopened.get('fromWorker');
+      worker.terminate();
+      return { workerResult, workerPromoted, valueFromWorker, disabledCode };
+    });
+
+    // Workers don't take ownership from pages, so the worker only reads from IndexedDB until the page is closed
+    expect(workerResult).toEqual({ fromPage: 1, storedIn: 'memory', useIndexedDB: false });
+    expect(disabledCode).toBeNull();
+    expect(workerPromoted).toEqual({ flushedKeys: ['fromWorker'] });
+    expect(valueFromWorker).toBe(2);
+  });
+
+  test('Hand ownership back to a page before a worker opened earlier', async () => {
+    const { pageRole, workerRole } = await page.evaluate(async () => {
+      const settings = {
+        databaseName: 'workers-handoff-database',
+        latestTabKey: '__test-workers-handoff-latest-tab',
+        version: '1',
+        onDisabled: () => {},
+      };
+      const store = new IdbFallback(settings);
+      await store.indexedDBReady;
+
+      const source = `
+        importScripts('${location.origin}/dist/idb-fallback.umd.js');
+        let store;
+        onmessage = async ({ data: settings }) => {
+          if (store) return postMessage((await store.diagnostics()).tabRole);
+          store = new IdbFallback({ ...settings, onDisabled: () => {} });
+          await store.indexedDBReady;
+          postMessage('ready');
+        };
+      `;
+      const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+      const send = message =>
+        new Promise(resolve => {
+          worker.onmessage = event => resolve(event.data);
+          worker.postMessage(message);
+        });
+      await send({ databaseName: settings.databaseName, latestTabKey: settings.latestTabKey, version: '1' });
+
+      // Opened after the worker, so the first page is demoted after it
+      const newerStore = new IdbFallback(settings);
+      await newerStore.indexedDBReady;
+      const promoted = new Promise(resolve => store.on('tab-promoted', resolve));
+      await newerStore.close();
+      await promoted;
+
+      const workerRole = await send('role');
+      const pageRole = (await store.diagnostics()).tabRole;
+      worker.terminate();
+      await store.close();
+      return { pageRole, workerRole };
+    });
+
+    expect(pageRole).toBe('owner');
+    expect(workerRole).toBe('demoted');
+  });
+
+  test('Keep the version in IndexedDB without localStorage', async () => {
+    const { value, change } = await page.evaluate(async () => {
+      const settings = {
+        databaseName: 'workers-version-database',
+        latestTabKey: '__test-workers-version-latest-tab',
+        version: '1',
+        localStorage: null,
+      };
+      const store = new IdbFallback(settings);
+      await store.set('draft', 'kept');
+
+      let change;
+      const reopened = new IdbFallback({ ...settings, onVersionChange: obj => (change = obj) });
+      return { value: await reopened.get('draft'), change };
+    });
+
+    expect(value).toBe('kept');
+    expect(change).toBeUndefined();
+  });
+});
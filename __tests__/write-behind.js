@@ -0,0 +1,65 @@
+const puppeteer = require('puppeteer');
+
+describe('Write-behind', async () => {
+  let browser, page;
+  const localPath = 'http://localhost:5000';
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch();
+    page = await browser.newPage();
+    await page.goto(localPath);
+    page.on('console', msg => console.log(msg.text()));
+  });
+
+  afterAll(async () => {
+    return await browser.close();
+  });
+
+  test('Coalesce repeated writes of the same key', async () => {
+    const { immediateValue, storedBeforeFlush, storedValue, changes } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'write-behind-database',
+        latestTabKey: '__test-write-behind-latest-tab',
+        writeBehind: 60000,
+      });
+      const changes = [];
+      store.subscribe('document', ({ newValue }) => changes.push(newValue));
+
+      [1, 2, 3].forEach(revision => store.set('document', { revision }));
+      const immediateValue = await store.get('document');
+      const [storedBeforeFlush] = await store.baseBackend.getMany(['document']);
+      await store.flush();
+
+      const [storedValue] = await store.baseBackend.getMany(['document']);
+      return {
+        immediateValue,
+        storedBeforeFlush,
+        storedValue,
+        changes,
+      };
+    });
+
+    expect(immediateValue).toEqual({ revision: 3 });
+    expect(storedBeforeFlush).toBe(undefined);
+    expect(storedValue).toEqual({ revision: 3 });
+    expect(changes).toEqual([{ revision: 3 }]);
+  });
+
+  test('Write values before deleting them', async () => {
+    const { value, keys } = await page.evaluate(async () => {
+      const store = new IdbFallback({
+        databaseName: 'write-behind-database',
+        latestTabKey: '__test-write-behind-delete-latest-tab',
+        writeBehind: 60000,
+      });
+      store.set('draft', 'text');
+      store.set('document', 'text');
+      await store.del('draft');
+      return { value: await store.get('draft'), keys: await store.keys() };
+    });
+
+    expect(value).toBe(undefined);
+    expect(keys.indexedDB).toContain('document');
+    expect(keys.indexedDB).not.toContain('draft');
+  });
+});
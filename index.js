@@ -1,15 +1,57 @@
-/**
- * idb-keyval
- * A tiny promise-based key-value store implemented with IndexedDB
- * https://github.com/jakearchibald/idb-keyval
- *
- */
-import { get, set, keys, del, clear, Store } from 'idb-keyval';
+import IndexedDBBackend from './src/backends/indexeddb';
+import MemoryBackend, { compareKeys, isInRange } from './src/backends/memory';
+import EncryptedBackend from './src/backends/encrypted';
+import ChunkedBackend from './src/backends/chunked';
+import BlobCompatBackend from './src/backends/blob-compat';
+import SimulatedBackend from './src/backends/simulated';
+import MemoryStorage from './src/memory-storage';
+import coordinateTabs, { simulateNewTabOpen } from './src/tab-coordination';
+import openChangeChannel from './src/change-channel';
+import WebStorageTier from './src/web-storage-tier';
+import sizeOf from './src/size-of';
+import { createSnapshot, readSnapshot } from './src/snapshot';
+
+// IndexedDB keys reserved for metadata, hidden from keys(), entries() and migrations
+const INTERNAL_KEY_PREFIX = '__idbFallback_';
+const EXPIRATIONS_KEY = `${INTERNAL_KEY_PREFIX}expirations`;
+const USAGE_KEY = `${INTERNAL_KEY_PREFIX}usage`;
+const VERSION_KEY = `${INTERNAL_KEY_PREFIX}version`;
+const SENTINEL_KEY = `${INTERNAL_KEY_PREFIX}sentinel`;
+
+// Number of recent calls of each operation whose latency and errors are reported by diagnostics()
+const TIMING_SAMPLES = 100;
+
+// Number of entries export() reads (and encodes) at a time
+const SNAPSHOT_BATCH_SIZE = 100;
+
+// Milliseconds after opening the change channel that values are posted with changes, until other instances with
+// subscribers have had time to reply
+const SUBSCRIBER_REPLY_TIMEOUT = 100;
+
+// Events that can be listened to with on()
+const EVENTS = [
+  'ready',
+  'version-reset',
+  'fallback-write',
+  'disabled',
+  'tab-demoted',
+  'tab-promoted',
+  'recovered',
+  'evicted',
+  'error',
+];
+
+// Backends that can be chosen by name
+const BACKENDS = {
+  indexedDB: (databaseName, objectStoreName) => new IndexedDBBackend(databaseName, objectStoreName),
+  memory: (databaseName, objectStoreName) => new MemoryBackend(databaseName, objectStoreName),
+};
 
 /**
- * Persists data in IndexedDB when available, falling back to memory (a JS object)
+ * Persists data in IndexedDB when available, falling back to LocalStorage / SessionStorage (if configured)
+ * and memory (a JS object)
  * Resets IndexedDB store if version string if ever updated
- * Copies all data to memory if a new tab is opened to prevent write conflicts
+ * Only reads from IndexedDB (keeping changes in memory) if a new tab is opened to prevent write conflicts
  * Exposes superset of idb-keyval API, but using class instance
  *    const store = new IdbFallback();
  *    store.get('test_key').then...
@@ -20,161 +62,762 @@ class IdbFallback {
    * @param {string} objectStoreName - Name of IndexedDB object store in database
    * @param {string} version - A string representing a the application's current storage schema
    *                           Change it to reset (clear) the IndexedDB store
-   * @param {string} versionKey - Key used to store version in LocalStorage
-   * @param {boolean} disableOnNewTabOpen - Whether to disable IndexedDB and copy all data to memory
-   *                                        if this application is opened in a new tab (same latestTabKey)
-   * @param {string} latestTabKey - Key used to store timestamp of latest tab open in LocalStorage, used
-   *                                for detecting if this application is opened in a new tab
+   * @param {string} versionKey - Key used to store version in LocalStorage (if available), as well as IndexedDB
+   * @param {object} migrations - Ordered map of version strings to transforms, used to upgrade data in place
+   *                              instead of clearing the store when the version changes, e.g.
+   *                                { '0.1': null, '0.2': (value, key) => newValue, '0.3': async value => ... }
+   *                              Each transform upgrades a record from the preceding version and may return
+   *                              a Promise. Returning undefined deletes the record. If a transform throws,
+   *                              nothing is changed, and IndexedDB is disabled (code 'migration_failed').
+   * @param {function} onVersionChange - Called after the stored version is updated, with object
+   *                                     { from: {string|null}, to: {string}, path: {array}, cleared: {boolean} }
+   * @param {boolean} disableOnNewTabOpen - Whether to stop writing to IndexedDB (keeping changes in memory)
+   *                                        if this application is opened in a new tab (same latestTabKey),
+   *                                        re-enabling it when that tab is closed
+   * @param {string} latestTabKey - Lock name (or LocalStorage key) used for detecting if this application
+   *                                is opened in a new tab, and for handing ownership back when it closes
    * @param {function} onDisabled - Called when IndexedDB is disabled, with object
    *                                { wasInitialized: {boolean}, reason {string}, error {any} }
+   * @param {array} fallbackChain - Storage to try, in order, when a value can't be stored in IndexedDB,
+   *                                before falling back to memory. Values stored here survive page reloads.
+   *                                Either 'localStorage' and 'sessionStorage', or objects limiting the
+   *                                approximate size of each tier, e.g. { type: 'localStorage', maxBytes: 100000 }
+   *                                Ignored with encryption, so values are never stored unencrypted across reloads.
+   * @param {number} sweepInterval - How often (in milliseconds) to delete expired keys. Expired keys are always
+   *                                 deleted once IndexedDB is ready, and treated as missing until then.
+   *                                 Set to 0 to only sweep on startup.
+   * @param {boolean} trackUsage - Whether to track approximate sizes and access times of values in IndexedDB,
+   *                               evicting least-recently used keys (unless pinned) when the browser's storage
+   *                               quota would be exceeded
+   * @param {number} maxBytes - Approximate maximum size of all values in IndexedDB. Implies trackUsage.
+   * @param {number} retryDelay - Milliseconds to wait before automatically calling retry() after IndexedDB fails
+   *                              to open or a write fails, doubling after each unsuccessful retry.
+   *                              Set to 0 to disable automatic retries.
+   * @param {number} maxRetryDelay - Longest wait between automatic retries
+   * @param {function} onRecovered - Called when retry() re-enables IndexedDB or moves values back to it, with object
+   *                                 { previousReason: {string|null}, flushedKeys: {array}, failedKeys: {array} }
+   * @param {string|function} backend - Where values are stored: 'indexedDB', 'memory' (lost on reload, for Node and
+   *                                    tests), or a function (databaseName, objectStoreName) => backend implementing
+   *                                    the interface in src/backends/indexeddb.js (e.g. a FileSystemBackend)
+   * @param {Storage} localStorage - Stores the version (see versionKey), and values in fallbackChain.
+   *                                 Defaults to window.localStorage, if available (it isn't in workers).
+   *                                 Pass a stand-in (e.g. new IdbFallback.MemoryStorage()) where it's unavailable.
+   * @param {Storage} sessionStorage - Stores values in fallbackChain. Defaults to window.sessionStorage.
+   * @param {function} tabCoordinator - Replaces the Web Locks / BroadcastChannel / LocalStorage coordination between
+   *                                    tabs, with signature (latestTabKey, { onDemote, onPromote, onRelease }) =>
+   *                                    release function (or a Promise of one, resolving once this tab owns the store
+   *                                    or was demoted). onDemote returns a Promise that settles once this tab has
+   *                                    stopped writing, and onRelease (to call before giving up ownership when the
+   *                                    page is hidden) one that settles once values waiting to be written are, or
+   *                                    undefined if there are none.
+   * @param {function} openChannel - Replaces the BroadcastChannel / LocalStorage relay of changes between tabs,
+   *                                 with signature (name, onMessage) => { post, close }
+   * @param {array} stores - Other object stores to create in the same database, accessed with namespace(name).
+   *                         Either names, or objects with a name and options overriding this instance's,
+   *                         e.g. ['drafts', { name: 'thumbnails', version: '0.2' }]
+   * @param {number} writeBehind - Milliseconds to keep values passed to set() and setMany() in memory (where get()
+   *                               reads them from) before writing them to IndexedDB in a single transaction, so
+   *                               values set repeatedly (e.g. autosaves) are only written once. Also written by
+   *                               flush(), and when the page is hidden. Set to 0 to write immediately.
+   * @param {number} maxWriteBehindDelay - Longest a value waits to be written while more values keep being set
+   * @param {object} encryption - Encrypt values in IndexedDB (or the backend) with AES-GCM, with object
+   *                              { key: {BufferSource|CryptoKey}, previousKeys: {array}, hashKeyNames: {boolean} }
+   *                              See src/backends/encrypted.js. Values in memory aren't encrypted, and fallbackChain
+   *                              is ignored.
+   * @param {object} chunking - Split Blobs and ArrayBuffers larger than chunkSize bytes into chunk records (and
+   *                            optionally gzip them), with object { chunkSize: {number}, compress: {boolean} }
+   *                            See src/backends/chunked.js. Chunks are compressed before they're encrypted.
+   * @param {boolean} persist - Ask the browser (with navigator.storage.persist()) not to evict this origin's storage
+   *                            under storage pressure. Browsers may prompt the user, or decide based on engagement.
+   * @param {object} simulate - Inject failures, so tests can drive each degraded mode deterministically, with object
+   *                            { openFailure: {string}, quotaExceededAfterBytes: {number}, failKeys: {array},
+   *                              newTabAfterMs: {number} }
+   *                            openFailure is the code to fail opening IndexedDB with (e.g. 'firefox_private_browsing',
+   *                            see on()), writes taking the approximate size of the store past quotaExceededAfterBytes
+   *                            fail with a QuotaExceededError, values set under failKeys are rejected like values
+   *                            IndexedDB can't store, and newTabAfterMs milliseconds after IndexedDB is ready, this tab
+   *                            is demoted as if a new tab was opened (if disableOnNewTabOpen is set).
+   *                            See src/backends/simulated.js. Not meant for production.
+   * @param {function} onTiming - Called after every get, set, del, clear, update and setIfUnchanged (including
+   *                              getMany(), setMany() and delMany()), with object { operation: {string}, keys: {array},
+   *                              objectStoreName: {string}, startTime: {number}, duration: {number} (milliseconds),
+   *                              useIndexedDB: {boolean}, error: {any} (if it failed) }
    */
   constructor({
     databaseName = 'keyval-store',
     objectStoreName = 'keyval',
     version = '0.1',
     versionKey = '__IndexedDB_version',
+    migrations = {},
+    onVersionChange = () => {},
     disableOnNewTabOpen = true,
     latestTabKey = '__latest_tab',
     onDisabled = obj => console.error('IndexedDB usage disabled. Falling back to memory.', obj),
+    fallbackChain = [],
+    sweepInterval = 0,
+    trackUsage = false,
+    maxBytes = Infinity,
+    retryDelay = 0,
+    maxRetryDelay = 5 * 60 * 1000,
+    onRecovered = () => {},
+    backend = 'indexedDB',
+    localStorage = getGlobal('localStorage'),
+    sessionStorage = getGlobal('sessionStorage'),
+    tabCoordinator = coordinateTabs,
+    openChannel = openChangeChannel,
+    stores = [],
+    writeBehind = 0,
+    maxWriteBehindDelay = 2000,
+    encryption,
+    chunking,
+    persist = false,
+    simulate,
+    onTiming = () => {},
   } = {}) {
     if (typeof databaseName !== 'string') throw new Error('Invalid databaseName string');
     if (typeof objectStoreName !== 'string') throw new Error('Invalid objectStoreName string');
     if (typeof version !== 'string') throw new Error('Invalid version string');
     if (typeof versionKey !== 'string') throw new Error('Invalid versionKey string');
+    if (!migrations || typeof migrations !== 'object') throw new Error('Invalid migrations object');
+    if (typeof onVersionChange !== 'function') throw new Error('Invalid onVersionChange function');
     if (typeof disableOnNewTabOpen !== 'boolean') throw new Error('Invalid disableOnNewTabOpen boolean');
     if (typeof onDisabled !== 'function') throw new Error('Invalid onDisabled function');
+    if (!Array.isArray(fallbackChain)) throw new Error('Invalid fallbackChain array');
+    fallbackChain = fallbackChain.map(tier => (typeof tier === 'string' ? { type: tier } : tier));
+    fallbackChain.forEach(tier => {
+      if (!tier || !['localStorage', 'sessionStorage'].includes(tier.type)) {
+        throw new Error('Invalid fallbackChain type');
+      }
+    });
+    if (typeof sweepInterval !== 'number') throw new Error('Invalid sweepInterval number');
+    if (typeof trackUsage !== 'boolean') throw new Error('Invalid trackUsage boolean');
+    if (typeof maxBytes !== 'number' || !(maxBytes > 0)) throw new Error('Invalid maxBytes number');
+    if (typeof retryDelay !== 'number') throw new Error('Invalid retryDelay number');
+    if (typeof maxRetryDelay !== 'number') throw new Error('Invalid maxRetryDelay number');
+    if (typeof onRecovered !== 'function') throw new Error('Invalid onRecovered function');
+    const backendName = typeof backend === 'string' ? backend : 'custom';
+    if (typeof backend === 'string') backend = BACKENDS[backend];
+    if (typeof backend !== 'function') throw new Error('Invalid backend');
+    if (localStorage && typeof localStorage.getItem !== 'function') throw new Error('Invalid localStorage object');
+    if (sessionStorage && typeof sessionStorage.getItem !== 'function') {
+      throw new Error('Invalid sessionStorage object');
+    }
+    if (typeof tabCoordinator !== 'function') throw new Error('Invalid tabCoordinator function');
+    if (typeof openChannel !== 'function') throw new Error('Invalid openChannel function');
+    if (!Array.isArray(stores)) throw new Error('Invalid stores array');
+    stores = stores.map(store => (typeof store === 'string' ? { name: store } : store));
+    stores.forEach(store => {
+      if (!store || typeof store.name !== 'string' || store.name === objectStoreName) {
+        throw new Error('Invalid stores name');
+      }
+    });
+    if (typeof writeBehind !== 'number') throw new Error('Invalid writeBehind number');
+    if (typeof maxWriteBehindDelay !== 'number') throw new Error('Invalid maxWriteBehindDelay number');
+    if (encryption !== undefined) {
+      if (!encryption || !EncryptedBackend.isValidKey(encryption.key)) throw new Error('Invalid encryption key');
+      const { previousKeys = [] } = encryption;
+      if (!Array.isArray(previousKeys) || !previousKeys.every(EncryptedBackend.isValidKey)) {
+        throw new Error('Invalid encryption previousKeys');
+      }
+    }
+    if (chunking !== undefined) {
+      if (!chunking || typeof chunking !== 'object') throw new Error('Invalid chunking object');
+      const { chunkSize } = chunking;
+      if (chunkSize !== undefined && !(typeof chunkSize === 'number' && chunkSize > 0)) {
+        throw new Error('Invalid chunking chunkSize');
+      }
+    }
+    if (typeof persist !== 'boolean') throw new Error('Invalid persist boolean');
+    if (typeof onTiming !== 'function') throw new Error('Invalid onTiming function');
+    if (simulate !== undefined) {
+      if (!simulate || typeof simulate !== 'object') throw new Error('Invalid simulate object');
+      const { openFailure, quotaExceededAfterBytes, failKeys = [], newTabAfterMs } = simulate;
+      if (openFailure !== undefined && !SimulatedBackend.OPEN_FAILURES.includes(openFailure)) {
+        throw new Error('Invalid simulate openFailure');
+      }
+      if (quotaExceededAfterBytes !== undefined && typeof quotaExceededAfterBytes !== 'number') {
+        throw new Error('Invalid simulate quotaExceededAfterBytes number');
+      }
+      if (!Array.isArray(failKeys)) throw new Error('Invalid simulate failKeys array');
+      if (newTabAfterMs !== undefined && typeof newTabAfterMs !== 'number') {
+        throw new Error('Invalid simulate newTabAfterMs number');
+      }
+    }
+
+    // Stores the version (and values, if in fallbackChain)
+    this.localStorage = localStorage;
 
     // When IndexedDB is not available, store objects in memory
     this.fallbackStore = {};
 
+    // While a newer tab owns IndexedDB, it's only read from (see listenForNewTabOpen()), with values set by this tab
+    // in memory taking precedence, and keys deleted by this tab hidden by tombstones until ownership is handed back
+    this.isReadOnly = false;
+    this.tombstones = new Set();
+
+    // Persistent storage tried before memory, skipping any that are unavailable (e.g. disabled by user). None with
+    // encryption, since values stored in it would be readable by anyone with access to the device.
+    const prefix = `idb-fallback:${databaseName}:${objectStoreName}:`;
+    this.fallbackTiers = (encryption ? [] : fallbackChain).reduce((tiers, { type, maxBytes }) => {
+      try {
+        const storage = type === 'localStorage' ? localStorage : sessionStorage;
+        return tiers.concat(new WebStorageTier(type, storage, prefix, maxBytes));
+      } catch (error) {
+        return tiers;
+      }
+    }, []);
+
     // Called if IndexedDB store cannot be initialized, or is intentionally disabled on new tab open
     this.onDisabled = onDisabled;
 
-    // Reason for disabling / not initializing IndexedDB store
+    // Called when the stored version is migrated or reset
+    this.onVersionChange = onVersionChange;
+
+    // Called when IndexedDB is re-enabled or values are moved back to it from memory
+    this.onRecovered = onRecovered;
+
+    // Called with a timing record after every get, set, del, clear, update and setIfUnchanged. The latest durations
+    // of each operation (and whether they failed) are kept for diagnostics(): { [operation]: { count, errors,
+    // samples: {array} } }
+    this.onTiming = onTiming;
+    this.timings = {};
+
+    // Timed operations that haven't settled yet, which close() waits for
+    this.operations = new Set();
+
+    // Name of the configured backend ('indexedDB', 'memory' or 'custom'), for diagnostics()
+    this.backendName = backendName;
+
+    // Reason for disabling / not initializing IndexedDB store, and its stable code (see on())
     this.disabledReason = null;
+    this.disabledCode = null;
 
-    // Reference to idb-keyval object store
-    this.store = undefined;
+    // Storage backend (IndexedDB by default), created by initStore(), wrapped in a layer injecting failures if
+    // simulated, and one storing Blobs as ArrayBuffers if it turns out it can't store them (checked before it's
+    // ready), then layers encrypting and chunking values if enabled. Values put under simulated failKeys are
+    // rejected above the encryption layer, where keys aren't hashed yet. The encryption layer is kept for
+    // rotateEncryptionKey(), and the backend itself for reading records as they're stored (e.g. in tests).
+    this.createBackend = (databaseName, objectStoreName) => {
+      let store = (this.baseBackend = backend(databaseName, objectStoreName));
+      if (simulate) store = new SimulatedBackend(store, { ...simulate, failKeys: [] });
+      store = new BlobCompatBackend(store);
+      if (encryption) store = this.encryptedBackend = new EncryptedBackend(store, encryption);
+      if (simulate && simulate.failKeys) store = new SimulatedBackend(store, { failKeys: simulate.failKeys });
+      if (chunking) store = new ChunkedBackend(store, chunking);
+      return store;
+    };
+    this.backend = undefined;
+    this.baseBackend = undefined;
+    this.encryptedBackend = undefined;
 
-    // Promise resolves with boolean indicating whether IndexedDB store can be used
-    this.indexedDBReady = this.initStore(databaseName, objectStoreName, version, versionKey);
+    // Expiration timestamps of keys set with a ttl or expiresAt, mirrored in IndexedDB under EXPIRATIONS_KEY
+    this.expirations = {};
+
+    // Approximate sizes and last access times of values in IndexedDB, mirrored in IndexedDB under USAGE_KEY
+    // { [key]: { bytes: {number}, accessed: {number}, pinned: {boolean} } }
+    this.trackUsage = trackUsage || maxBytes !== Infinity;
+    this.maxBytes = maxBytes;
+    this.keyUsage = {};
+
+    // Callbacks subscribed to key changes: { key, prefix, all, callback }
+    this.subscribers = [];
+
+    // Handlers of lifecycle events, by event name
+    this.listeners = {};
+
+    // Relays changes to and from other tabs using the same object store
+    // Values are only posted with changes while other instances have subscribers, which post their id when they
+    // subscribe (and unsubscribe), or when asked by a newly opened instance
+    this.instanceId = `${Date.now()}_${Math.random()
+      .toString(36)
+      .slice(2)}`;
+    this.remoteSubscribers = new Set();
+    this.changeChannel = openChannel(`idb-fallback:${databaseName}:${objectStoreName}`, change =>
+      this.handleRemoteChange(change)
+    );
+    this.changeChannel.post({ type: 'query-subscribers' });
+    this.isQueryingSubscribers = true;
+    this.subscriberQueryTimer = setTimeout(() => (this.isQueryingSubscribers = false), SUBSCRIBER_REPLY_TIMEOUT);
+
+    // Resolves with whether the browser agreed to persist storage (or null if unsupported), if it was asked
+    this.persistRequest = persist ? requestPersistence() : Promise.resolve(null);
+
+    // Set on startup if the browser evicted the store since it was last opened: { createdAt: {number} }
+    this.eviction = null;
 
-    // When a new tab is opened, disable IndexedDB and move all data to memory
+    // Record written when the store is created, and kept when it's cleared (see detectEviction() in initStore())
+    this.sentinel = undefined;
+
+    // Settings needed to open the IndexedDB store again in retry()
+    this.storeSettings = { databaseName, objectStoreName, version, versionKey, migrations };
+
+    // Automatic retries, with exponential backoff
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.retryAttempts = 0;
+    this.retryTimer = undefined;
+    this.retrying = undefined;
+
+    // Serializes update() calls and tab handoffs
+    this.updateQueue = Promise.resolve();
+
+    // Values waiting to be written, if writeBehind is set
+    // { [key]: { value, options: { useFallback, expiration, pinned }, oldValue: {Promise}, callbacks: {array},
+    //            isFlushing: {boolean} } }
+    this.writeBehind = writeBehind;
+    this.maxWriteBehindDelay = maxWriteBehindDelay;
+    this.pendingWrites = new Map();
+    this.flushTimer = undefined;
+    this.flushDeadline = undefined;
+    this.flushing = Promise.resolve();
+    this.removePageListeners = writeBehind ? listenForPageHide(() => this.flush()) : () => {};
+
+    // When a new tab is opened, stop writing to IndexedDB and keep changes in memory
     this.latestTabKey = latestTabKey;
-    if (disableOnNewTabOpen) {
-      this.indexedDBReady.then(useIndexedDB => {
-        if (useIndexedDB) this.listenForNewTabOpen();
+
+    // Gives up ownership of IndexedDB to other tabs, set once listening for new tabs
+    this.tabCoordinator =
+      simulate && simulate.newTabAfterMs !== undefined
+        ? simulateNewTabOpen(tabCoordinator, simulate.newTabAfterMs)
+        : tabCoordinator;
+    this.releaseTab = undefined;
+    this.disableOnNewTabOpen = disableOnNewTabOpen;
+
+    // Promise resolves with boolean indicating whether IndexedDB store can be used
+    // Once it's open, operations wait until this tab owns it, so they aren't written while an older tab still is
+    this.indexedDBReady = this.initStore(databaseName, objectStoreName, version, versionKey, migrations).then(
+      useIndexedDB =>
+        // Unless closed in the meantime
+        useIndexedDB && this.disableOnNewTabOpen
+          ? this.listenForNewTabOpen().then(() => !this.disabledReason)
+          : useIndexedDB
+    );
+    this.indexedDBReady.then(useIndexedDB => {
+      this.emit('ready', { useIndexedDB, code: this.disabledCode });
+      if (!useIndexedDB) this.scheduleRetry();
+    });
+
+    // Delete keys that expired since the last visit, and periodically after that
+    const sweep = () => this.sweep().catch(error => this.emit('error', { code: 'sweep_failed', error }));
+    this.indexedDBReady.then(sweep);
+    this.sweepTimer = sweepInterval > 0 ? setInterval(sweep, sweepInterval) : undefined;
+
+    // Other object stores in the same database, and the options they inherit
+    this.namespaces = {};
+    this.namespaceOptions = {
+      databaseName,
+      version,
+      versionKey,
+      disableOnNewTabOpen,
+      latestTabKey,
+      onDisabled,
+      fallbackChain,
+      sweepInterval,
+      trackUsage,
+      maxBytes,
+      retryDelay,
+      maxRetryDelay,
+      onRecovered,
+      backend,
+      localStorage,
+      sessionStorage,
+      tabCoordinator,
+      openChannel,
+      writeBehind,
+      maxWriteBehindDelay,
+      encryption,
+      chunking,
+      simulate,
+      onTiming,
+    };
+    // Created now, so the database is only upgraded once to add them
+    stores.forEach(({ name, ...options }) => this.namespace(name, options));
+  }
+
+  /**
+   * Get another object store in the same database, upgrading the database to create it if needed
+   * It has its own fallback, keys() and clear() scope, version (stored under `${versionKey}:${name}`, so it can be
+   * reset independently) and tab coordination, and inherits this instance's other options unless overridden.
+   * @param {string} name - Object store name
+   * @param {object} [options] - Constructor options, e.g. { version, migrations }
+   * @return {IdbFallback} - The same instance each time it's called with the same name
+   */
+  namespace(name, options = {}) {
+    if (typeof name !== 'string' || name === this.storeSettings.objectStoreName) {
+      throw new Error('Invalid namespace name');
+    }
+
+    if (!this.namespaces[name]) {
+      const { versionKey, latestTabKey } = this.namespaceOptions;
+      this.namespaces[name] = new IdbFallback({
+        ...this.namespaceOptions,
+        versionKey: `${versionKey}:${name}`,
+        latestTabKey: `${latestTabKey}:${name}`,
+        ...options,
+        objectStoreName: name,
       });
     }
+    return this.namespaces[name];
   }
 
   /**
    * Initial setup of IndexedDB key-value object store
-   * Ensures version stored in LocalStorage matches specified version, or clears the IndexedDB store
+   * Ensures stored version matches specified version, migrating or clearing the IndexedDB store
    * @param {string} databaseName - Name of IndexedDB database
    * @param {string} objectStoreName - Name of IndexedDB object store in database
    * @param {string} latestVersion - A string representing a the application's current storage schema
-   *                                 Change it to reset (clear) the IndexedDB store
-   * @param {string} versionKey - Key used to store version in LocalStorage
+   *                                 Change it to migrate or reset (clear) the IndexedDB store
+   * @param {string} versionKey - Key used to store version in LocalStorage (if available), as well as IndexedDB
+   * @param {object} migrations - Ordered map of versions to record transforms
+   * @param {boolean} [isRetry] - Whether this is called by retry(), so onDisabled shouldn't be called again
    * @return {Promise<boolean>} - Use IndexedDB (true) or memory fallback (false)?
    */
-  initStore(databaseName, objectStoreName, latestVersion, versionKey) {
+  initStore(databaseName, objectStoreName, latestVersion, versionKey, migrations = {}, isRetry = false) {
     updateVersion = updateVersion.bind(this);
+    upgradeVersion = upgradeVersion.bind(this);
+    migrateStore = migrateStore.bind(this);
+    clearStore = clearStore.bind(this);
+    writeIfVersionUnchanged = writeIfVersionUnchanged.bind(this);
+    loadMetadata = loadMetadata.bind(this);
     handleBrowserError = handleBrowserError.bind(this);
     disable = disable.bind(this);
+    writeVersion = writeVersion.bind(this);
+    detectEviction = detectEviction.bind(this);
 
     /**
-     * Create or open IndexedDB database ("keyval-store" database and "keyval" object store)
+     * Create or open IndexedDB database ("keyval-store" database and "keyval" object store), or other backend
      * Doing this manually (instead of implicitly) allows us to handle startup errors in one place
-     * _dbp (private property) resolves in IndexedDB.open worked, or rejects if it didn't
+     * backend.ready resolves if IndexedDB.open worked, or rejects if it didn't
+     * When retrying, the backend that failed is closed first, so it doesn't keep its share of the connection open
      */
+    if (isRetry && this.backend && this.backend.close) Promise.resolve(this.backend.close()).catch(() => {});
     try {
-      this.store = new Store(databaseName, objectStoreName);
+      this.backend = this.createBackend(databaseName, objectStoreName);
     } catch (error) {
       // Handle an synchronous errors that won't be handled as events by the request.onerror handler
       // For instance, window.indexedDB is undefined in Microsoft Edge during Private Browsing
-      handleBrowserError('new idbKeyval.Store failed', error);
-      return Promise.resolve(false);
+      // Deferred, so 'disabled' event handlers added right after the constructor are called
+      return Promise.resolve().then(() =>
+        handleBrowserError('backend_unavailable', 'new idbKeyval.Store failed', error)
+      );
     }
 
-    return this.store._dbp.then(
+    return this.backend.ready.then(
       // Database successfully opened
-      () => updateVersion(),
+      () =>
+        detectEviction()
+          .then(() => updateVersion())
+          .then(useIndexedDB => useIndexedDB && loadMetadata()),
 
       // Unable to open database
-      error => handleBrowserError('indexedDB.open failed', error)
+      error => {
+        if (error && error.name === 'EncryptionKeyError') {
+          return disable('wrong_encryption_key', 'Records were encrypted with another key', error);
+        }
+        if (error && error.name === 'UpgradeBlockedError') {
+          return disable('upgrade_blocked', 'Adding the object store is blocked by another connection', error);
+        }
+        return handleBrowserError('open_failed', 'indexedDB.open failed', error);
+      }
     );
 
     /**
      * If latest IndexedDB version string (this.version) is different from
-     * the currently version, wipe the object store to reset all data
-     * The currently version is stored in LocalStorage, so it can be fetched extremely fast
-     * @return {boolean} - true or calls disable()
+     * the currently version, migrate the object store's data, or wipe it if no migration path exists
+     * The current version is stored in the object store itself (under VERSION_KEY), so workers without
+     * LocalStorage and every tab agree on it, and in LocalStorage (if available), where it used to be stored
+     * Tabs upgrade the store one at a time where Web Locks are available, so the others find it upgraded
+     * @return {Promise<boolean>} - true or calls disable()
      */
     function updateVersion() {
-      let dbVersion;
+      return withLock(`idb-fallback:${databaseName}:${objectStoreName}:version`, upgradeVersion);
+    }
+
+    /**
+     * See updateVersion()
+     * @return {Promise<boolean>}
+     */
+    function upgradeVersion() {
+      return this.backend.getMany([VERSION_KEY]).then(
+        ([storedVersion]) => {
+          let dbVersion = storedVersion === undefined ? null : storedVersion;
+          if (storedVersion === undefined && this.localStorage) {
+            try {
+              dbVersion = this.localStorage.getItem(versionKey);
+            } catch (error) {
+              return disable('version_read_failed', `Unable to read ${versionKey} from localStorage`, error);
+            }
+          }
+
+          // Version is already up-to-date. Allow IndexedDB access (once it's stored in IndexedDB too).
+          if (dbVersion === latestVersion) return storedVersion === latestVersion || writeVersion();
+
+          // Migrate data from outdated version in IndexedDB, or clear it if we don't know how
+          // Both write the latest version in the same transaction, unless another tab (or worker) upgraded the
+          // store since its version was read, in which case the version is read again
+          const path = getMigrationPath(dbVersion);
+          return (
+            (path ? migrateStore(path, storedVersion) : clearStore(storedVersion))
+              .then(result => {
+                if (!result) return upgradeVersion();
+
+                // A transform failed, so the records and their version are left as they are
+                const { path, cleared, error } = result;
+                if (error) {
+                  return disable('migration_failed', `Unable to migrate records to version ${latestVersion}`, error);
+                }
+
+                return writeVersion().then(isWritten => {
+                  if (!isWritten) return false;
+                  this.onVersionChange({ from: dbVersion, to: latestVersion, path, cleared });
+                  this.emit('version-reset', { from: dbVersion, to: latestVersion, path, cleared });
+                  // Version update successful. Allow IndexedDB access.
+                  return true;
+                });
+              })
+              // Unable to migrate or clear data in IndexedDB.
+              .catch(error => {
+                return handleBrowserError(
+                  'version_upgrade_failed',
+                  'Unable to clear keys while upgrading version',
+                  error
+                );
+              })
+          );
+        },
+        error => disable('version_read_failed', `Unable to read ${VERSION_KEY} from IndexedDB`, error)
+      );
+    }
+
+    /**
+     * Detect whether the browser deleted the store (e.g. evicted it under storage pressure) since it was last opened
+     * A sentinel record is written when the store is created, and its creation time kept in LocalStorage. If the
+     * record is missing while LocalStorage still has the time, the store was deleted by the browser rather than
+     * reset by a version change (which keeps the record). Can't be detected without LocalStorage (e.g. in workers).
+     * @return {Promise<undefined>}
+     */
+    function detectEviction() {
+      // Outside the prefix of values in fallbackChain, which are listed as keys
+      const sentinelKey = `idb-fallback-sentinel:${databaseName}:${objectStoreName}`;
+      return this.backend
+        .getMany([SENTINEL_KEY])
+        .then(([sentinel]) => {
+          let knownCreatedAt = null;
+          try {
+            if (this.localStorage) knownCreatedAt = this.localStorage.getItem(sentinelKey);
+          } catch (error) {
+            // Nothing to compare with
+          }
+
+          this.sentinel = sentinel || { createdAt: Date.now() };
+          if (!sentinel && knownCreatedAt !== null) {
+            this.eviction = { createdAt: Number(knownCreatedAt) };
+            this.emit('evicted', { code: 'storage_evicted', createdAt: this.eviction.createdAt });
+          }
+
+          try {
+            const createdAt = String(this.sentinel.createdAt);
+            if (this.localStorage && knownCreatedAt !== createdAt) this.localStorage.setItem(sentinelKey, createdAt);
+          } catch (error) {
+            // Eviction won't be detected next time
+          }
+          if (!sentinel) return this.backend.write([{ type: 'put', key: SENTINEL_KEY, value: this.sentinel }]);
+        })
+        .catch(() => {});
+    }
+
+    /**
+     * Store the latest version in IndexedDB, and in LocalStorage if available
+     * @return {Promise<boolean>} - true or calls disable()
+     */
+    function writeVersion() {
       try {
-        dbVersion = localStorage.getItem(versionKey);
+        if (this.localStorage) this.localStorage.setItem(versionKey, latestVersion);
       } catch (error) {
-        return disable(`Unable to read ${versionKey} from localStorage`, error);
+        return Promise.resolve(disable('version_write_failed', `Unable to write ${versionKey} to localStorage`, error));
       }
+      const fail = error => disable('version_write_failed', `Unable to write ${VERSION_KEY} to IndexedDB`, error);
+      return this.backend
+        .write([{ type: 'put', key: VERSION_KEY, value: latestVersion }])
+        .then(([error]) => (error ? fail(error) : true), fail);
+    }
 
-      // Version is already up-to-date. Allow IndexedDB access.
-      if (dbVersion === latestVersion) return true;
+    /**
+     * Read expiration times and usage of keys stored in IndexedDB
+     * Keys whose metadata can't be read just won't expire or be evicted
+     * @return {Promise<boolean>} true
+     */
+    function loadMetadata() {
+      return this.backend
+        .getMany([EXPIRATIONS_KEY, USAGE_KEY])
+        .then(([expirations, usage]) => {
+          this.expirations = { ...expirations, ...this.expirations };
 
-      // Clear data from outdated version in IndexedDB
-      return (
-        idbKeyval
-          .clear()
-          .then(() => {
-            // Update version in LocalStorage
-            try {
-              localStorage.setItem(versionKey, latestVersion);
-            } catch (error) {
-              return disable(`Unable to write ${versionKey} to localStorage`, error);
-            }
-            // Version update successful. Allow IndexedDB access.
-            return true;
-          })
-          // Unable to clear data from IndexedDB.
-          .catch(error => {
-            return handleBrowserError('Unable to clear keys while upgrading version', error);
-          })
+          // Don't leave outdated usage around in case tracking is turned on again
+          if (!this.trackUsage) return usage && this.backend.write([{ type: 'delete', key: USAGE_KEY }]);
+
+          if (usage) {
+            this.keyUsage = usage;
+            return;
+          }
+
+          // Usage wasn't tracked before (or was reset by a migration), so measure every value
+          return this.getIndexedDBEntries().then(entries => {
+            entries.forEach(([key, value]) => {
+              this.keyUsage[key] = { bytes: sizeOf(value), accessed: 0, pinned: false };
+            });
+          });
+        })
+        .then(
+          () => true,
+          () => true
+        );
+    }
+
+    /**
+     * List the versions whose transforms upgrade data from the stored version to the latest one
+     * @param {string|null} dbVersion - Version currently stored
+     * @return {array|null} - Ordered list of versions to migrate through, or null if there's no path
+     */
+    function getMigrationPath(dbVersion) {
+      const versions = Object.keys(migrations);
+      const fromIndex = versions.indexOf(dbVersion);
+      const toIndex = versions.indexOf(latestVersion);
+      if (fromIndex === -1 || toIndex <= fromIndex) return null;
+
+      const path = versions.slice(fromIndex + 1, toIndex + 1);
+      return path.every(version => typeof migrations[version] === 'function') ? path : null;
+    }
+
+    /**
+     * Read every record, run it through each migration in the path, and write the results back with the latest
+     * version in a single transaction. If a transform throws, nothing is written.
+     * @param {array} path - Versions whose transforms should be applied, in order
+     * @param {any} storedVersion - Version read from the backend, which records are only migrated from
+     * @return {Promise<object|null, any>} - { path: {array}, cleared: false, error: {any} (if a transform threw) },
+     *                                       or null if the stored version has changed
+     */
+    function migrateStore(path, storedVersion) {
+      let entries;
+      return this.backend.entries().then(storedEntries => {
+        // Read in the same transaction as the records, so they're only migrated from the version they're in
+        const versionEntry = storedEntries.find(([key]) => key === VERSION_KEY);
+        if ((versionEntry && versionEntry[1]) !== storedVersion) return null;
+
+        entries = storedEntries.filter(([key]) => !isInternalKey(key));
+        return path
+          .reduce(
+            (promise, version) =>
+              promise.then(() =>
+                Promise.all(
+                  entries.map((entry, index) =>
+                    // Records deleted by an earlier migration stay deleted
+                    entry[1] === undefined
+                      ? undefined
+                      : Promise.resolve(migrations[version](entry[1], entry[0])).then(value => {
+                          entries[index] = [entry[0], value];
+                        })
+                  )
+                )
+              ),
+            Promise.resolve()
+          )
+          .then(
+            () =>
+              writeIfVersionUnchanged(
+                storedVersion,
+                entries
+                  .map(([key, value]) => (value === undefined ? { type: 'delete', key } : { type: 'put', key, value }))
+                  // Sizes have changed, so usage will be measured again
+                  .concat({ type: 'delete', key: USAGE_KEY })
+              ).then(isWritten => (isWritten ? { path, cleared: false } : null)),
+            // A transform failed, so there's no safe way to upgrade this data
+            error => ({ path, cleared: false, error })
+          );
+      });
+    }
+
+    /**
+     * Delete every record (including metadata, except the sentinel) in the backend, and write the latest version
+     * @param {any} storedVersion - Version read from the backend, which records are only deleted in
+     * @return {Promise<object|null, any>} - { path: [], cleared: true }, or null if the stored version has changed
+     */
+    function clearStore(storedVersion) {
+      const operations = [{ type: 'clear' }];
+      if (this.sentinel) operations.push({ type: 'put', key: SENTINEL_KEY, value: this.sentinel });
+      return writeIfVersionUnchanged(storedVersion, operations).then(isWritten =>
+        isWritten ? { path: [], cleared: true } : null
       );
     }
 
+    /**
+     * Write operations and the latest version in a single transaction, if the stored version hasn't changed
+     * @param {any} storedVersion
+     * @param {array} operations
+     * @return {Promise<boolean, any>} - Whether they were written, or rejects if any of them failed
+     */
+    function writeIfVersionUnchanged(storedVersion, operations) {
+      let isUnchanged = false;
+      return this.backend
+        .update([VERSION_KEY], ([currentVersion]) => {
+          isUnchanged = currentVersion === storedVersion;
+          return isUnchanged ? operations.concat({ type: 'put', key: VERSION_KEY, value: latestVersion }) : [];
+        })
+        .then(errors => {
+          // A migrated value couldn't be stored, so the version isn't marked as upgraded
+          const error = errors.find(Boolean);
+          return error ? Promise.reject(error) : isUnchanged;
+        });
+    }
+
     /**
      * Update IndexedDB error reasons for known browser-specific errors, typically
      * related to user choices (e.g. Private Browsing)
+     * @param {string} code
      * @param {string} reason
      * @param {Error/event} error
      * @return {boolean} false - calls disable()
      */
-    function handleBrowserError(reason = '', error) {
-      const isFirefox = /firefox/i.test(navigator.userAgent);
-      const isEdge = /Edge/.test(navigator.userAgent);
+    function handleBrowserError(code, reason = '', error) {
+      const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+      const isFirefox = /firefox/i.test(userAgent);
+      const isEdge = /Edge/.test(userAgent);
+      // Safari, and every browser on iOS
+      const isWebKit = /AppleWebKit/.test(userAgent) && !/Chrome|Chromium|Edg/.test(userAgent);
 
-      if (isFirefox && error.name === 'InvalidStateError') {
-        reason = 'firefox_private_browsing';
+      if (error && error.simulatedCode) {
+        // Failure injected with the simulate option, as if in the browser it's specific to
+        code = reason = error.simulatedCode;
+      } else if (isQuotaError(error)) {
+        code = reason = 'quota_exceeded';
+      } else if (isFirefox && error.name === 'InvalidStateError') {
+        code = reason = 'firefox_private_browsing';
       } else if (isFirefox && error.name === 'UnknownError') {
-        reason = 'firefox_esr_user_profile_corrupted';
-      } else if (isEdge && typeof window.indexedDB === 'undefined') {
-        reason = 'edge_private_browsing';
+        code = reason = 'firefox_esr_user_profile_corrupted';
+      } else if (isEdge && typeof indexedDB === 'undefined') {
+        code = reason = 'edge_private_browsing';
+      } else if (isWebKit && error && (error.name === 'InvalidStateError' || error.name === 'SecurityError')) {
+        code = reason = 'webkit_private_browsing';
       }
 
-      return disable(reason, error);
+      return disable(code, reason, error);
     }
 
     /**
      * If anything goes awry during setup, disable IndexedDB usage
      * Similar to this.disable() except it returns false instead of overwriting this.IndexedDBReady
+     * @param {string} code
      * @param {string} reason
      * @param {any} error
      * @return {boolean} false
      */
-    function disable(reason, error) {
-      this.onDisabled({ wasInitialized: false, reason, error });
+    function disable(code, reason, error) {
+      if (!isRetry) {
+        this.onDisabled({ wasInitialized: false, reason, error });
+        this.emit('disabled', { code, reason, wasInitialized: false, error });
+      }
       this.disabledReason = reason;
+      this.disabledCode = code;
       return false;
     }
   }
@@ -183,13 +826,132 @@ class IdbFallback {
    * Disable IndexedDB usage
    * @param {string} reason
    * @param {any} error
+   * @param {string} [code] - Stable code for 'disabled' event handlers, if reason isn't one
    */
-  disable(reason, error) {
+  disable(reason, error, code = reason) {
     this.onDisabled({ wasInitialized: true, reason, error });
+    this.emit('disabled', { code, reason, wasInitialized: true, error });
     this.disabledReason = reason;
+    this.disabledCode = code;
     this.indexedDBReady = Promise.resolve(false);
   }
 
+  /**
+   * Try to open IndexedDB again if it failed, and move values stranded in memory (or fallbackChain) back to it
+   * Does nothing if IndexedDB was disabled because a newer tab owns it
+   * @return {Promise<boolean>} - Whether IndexedDB is in use, and all values that it accepts were moved to it
+   */
+  retry() {
+    if (this.retrying) return this.retrying;
+
+    const previousReason = this.disabledReason;
+    this.retrying = this.indexedDBReady.then(useIndexedDB => {
+      if (previousReason === 'new_tab_opened') return false;
+
+      const { databaseName, objectStoreName, version, versionKey, migrations } = this.storeSettings;
+      const reopened = useIndexedDB
+        ? Promise.resolve(true)
+        : this.initStore(databaseName, objectStoreName, version, versionKey, migrations, true);
+
+      return reopened.then(isOpen => {
+        if (!isOpen) return false;
+
+        const previousCode = this.disabledCode;
+        this.disabledReason = null;
+        this.disabledCode = null;
+        const listening = this.disableOnNewTabOpen && !this.releaseTab ? this.listenForNewTabOpen() : Promise.resolve();
+
+        return listening
+          .then(() => {
+            // Values stay in memory while a newer tab owns IndexedDB
+            if (this.disabledReason) return Promise.reject();
+          })
+          .then(() => this.flushTombstones())
+          .then(() => this.flushFallback())
+          .then(
+            ({ flushedKeys, failedKeys }) => {
+              if (flushedKeys.length || previousReason) {
+                this.onRecovered({ previousReason, flushedKeys, failedKeys });
+                this.emit('recovered', { previousCode, flushedKeys, failedKeys });
+              }
+              return true;
+            },
+            // IndexedDB is open, but still can't be written to, so leave values in memory
+            () => false
+          );
+      });
+    });
+
+    // Hold other operations until the outcome is known
+    this.indexedDBReady = this.retrying.then(() => !this.disabledReason);
+    this.retrying.then(() => {
+      this.retrying = undefined;
+    });
+    return this.retrying;
+  }
+
+  /**
+   * Call retry() after a delay that doubles each time it's unsuccessful, if retryDelay is set
+   */
+  scheduleRetry() {
+    if (!this.retryDelay || this.retryTimer || this.disabledReason === 'new_tab_opened') return;
+
+    const delay = Math.min(this.retryDelay * Math.pow(2, this.retryAttempts), this.maxRetryDelay);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = undefined;
+      this.retry().then(isRecovered => {
+        if (isRecovered) {
+          this.retryAttempts = 0;
+        } else {
+          this.retryAttempts++;
+          this.scheduleRetry();
+        }
+      });
+    }, delay);
+  }
+
+  /**
+   * Move every value in memory and fallbackChain to IndexedDB in a single transaction
+   * Values IndexedDB rejects individually (e.g. functions) stay where they are.
+   * @return {Promise<object, any>} - { flushedKeys: {array}, failedKeys: {array} }, or rejects if the
+   *                                  transaction failed
+   */
+  flushFallback() {
+    const entries = this.getFallbackEntries().filter(([key]) => !this.isExpired(key));
+    if (!entries.length) return Promise.resolve({ flushedKeys: [], failedKeys: [] });
+
+    return this.putEntries(entries, { expirationsChanged: true }).then(errors => {
+      const flushedKeys = [],
+        failedKeys = [];
+      entries.forEach(([key], index) => {
+        if (errors[index]) {
+          failedKeys.push(key);
+        } else {
+          flushedKeys.push(key);
+          this.delFallback(key);
+        }
+      });
+      return { flushedKeys, failedKeys };
+    });
+  }
+
+  /**
+   * Delete keys hidden by tombstones from IndexedDB, which is no longer read-only (e.g. if handing ownership back to
+   * this tab failed, and it was retried)
+   * @return {Promise<undefined, any>} - Rejects if the transaction failed
+   */
+  flushTombstones() {
+    const keys = Array.from(this.tombstones);
+    this.isReadOnly = false;
+    if (!keys.length) return Promise.resolve();
+
+    return this.backend.write(keys.map(key => ({ type: 'delete', key }))).then(errors => {
+      keys.forEach((key, index) => {
+        if (!errors[index]) this.tombstones.delete(key);
+      });
+    });
+  }
+
   /**
    * Get item from IndexedDB
    * @param {string} key
@@ -197,162 +959,1971 @@ class IdbFallback {
    * @return {Promise<any, any>}
    */
   get(key, { useFallback = true } = {}) {
-    return this.indexedDBReady.then(useIndexedDB => {
-      // Memory lookup
-      if (useFallback && this.fallbackStore.hasOwnProperty(key)) {
-        return this.fallbackStore[key];
-      }
-
-      // IndexedDB disabled
-      if (!useIndexedDB) return;
-
-      return get(key, this.store);
-    });
+    return this.getMany([key], { useFallback }).then(values => values[0]);
   }
 
   /**
-   * Set key to value in IndexedDB, optionally falling back to memory store
+   * Set key to value in IndexedDB, optionally falling back to fallbackChain and memory store
    * @param {string} key
    * @param {any} value
-   * @param {boolean} [useFallback] - Store in memory if unable to use IndexedDB
+   * @param {boolean} [useFallback] - Store in fallbackChain or memory if unable to use IndexedDB
+   * @param {number} [ttl] - Milliseconds until key expires
+   * @param {number|Date} [expiresAt] - When key expires (overrides ttl)
+   * @param {boolean} [pinned] - Never evict key to make room for others (only applies if usage is tracked)
    * @returns {Promise<object, any>} - will reject, or resolve with this object:
-   *                              { store: 'memory' or 'IndexedDB' }
+   *                              { store: 'IndexedDB', 'localStorage', 'sessionStorage' or 'memory' }
    */
-  set(key, value, { useFallback = true } = {}) {
-    return this.indexedDBReady.then(useIndexedDB => {
-      // Remove any conflicting value in memory store
-      if (this.fallbackStore.hasOwnProperty(key)) {
-        delete this.fallbackStore[key];
-      }
+  set(key, value, { useFallback = true, ttl, expiresAt, pinned } = {}) {
+    return this.setMany([[key, value]], { useFallback, ttl, expiresAt, pinned }).then(results => results[0]);
+  }
 
-      // IndexedDB disabled
-      if (!useIndexedDB) {
-        // Fallback to memory store
-        if (useFallback) {
-          this.fallbackStore[key] = value;
-          return { store: 'memory' };
+  /**
+   * Delete key from IndexedDB
+   * @param {string} key
+   * @return {Promise(<undefined, any>)}
+   */
+  del(key) {
+    return this.delMany([key]);
+  }
+
+  /**
+   * Replace a key's value with the result of a function of its current value, reading and writing IndexedDB in a
+   * single transaction. Updates (and tab handoffs) run one at a time, so concurrent updates aren't lost.
+   * Keeps the key's expiration time. Unlike set(), doesn't evict other keys to make room.
+   * @param {string} key
+   * @param {function} updater - Called with the current value (undefined if missing), returning the new value
+   *                             Must be synchronous, since IndexedDB transactions can't wait for promises, and pure,
+   *                             since with encryption it's called again if another tab changed the value before the
+   *                             encrypted value was written (see src/backends/encrypted.js)
+   * @param {boolean} [useFallback] - Store in fallbackChain or memory if unable to use IndexedDB
+   * @returns {Promise<object, any>} - will reject (e.g. with the error thrown by updater), or resolve with this object:
+   *                              { store: 'IndexedDB', 'localStorage', 'sessionStorage' or 'memory', value: {any} }
+   */
+  update(key, updater, { useFallback = true } = {}) {
+    return this.timeOperation('update', [key], () => this.updateValue(key, updater, { useFallback }));
+  }
+
+  /**
+   * Run update(), without timing it (see timeOperation())
+   * @param {string} key
+   * @param {function} updater
+   * @param {boolean} [useFallback]
+   * @returns {Promise<object, any>} - See update()
+   */
+  updateValue(key, updater, { useFallback }) {
+    if (typeof updater !== 'function') return Promise.reject(new Error('Invalid updater function'));
+
+    let oldValue, newValue, isUpdated;
+    return this.queueUpdate(() =>
+      this.afterFlush(() => this.indexedDBReady).then(useIndexedDB => {
+        // Expired keys are treated as missing, and no longer expire once updated
+        const wasExpired = this.isExpired(key);
+        if (wasExpired) {
+          this.delFallback(key);
+          this.setExpiration(key, undefined);
         }
-        return Promise.reject(this.disabledReason);
-      }
+        const fallback = this.getFallback(key);
 
-      return set(key, value, this.store).then(
-        // Successfully stored value in IndexedDB
-        () => ({ store: 'IndexedDB' }),
-        // Failed to store value in IndexedDB
-        error => {
-          // Fallback to memory store
-          if (useFallback) {
-            this.fallbackStore[key] = value;
-            return { store: 'memory' };
-          }
-          return Promise.reject(error);
+        // IndexedDB disabled, so update memory store
+        if (!useIndexedDB) {
+          if (!useFallback) return Promise.reject(this.disabledReason);
+          const stored = fallback || wasExpired ? Promise.resolve([]) : this.readOnlyMany([key]);
+          return stored.then(([storedValue]) => {
+            oldValue = fallback ? fallback.value : storedValue;
+            newValue = updater(oldValue);
+            this.delFallback(key);
+            return this.setFallback(key, newValue, 'indexeddb_disabled');
+          });
         }
-      );
+
+        const previousUsage = this.keyUsage[key];
+        const restoreUsage = () => {
+          if (previousUsage) this.keyUsage[key] = previousUsage;
+          else delete this.keyUsage[key];
+        };
+
+        return this.backend
+          .update([key], ([storedValue]) => {
+            // Values in memory take precedence, as in get()
+            oldValue = fallback ? fallback.value : wasExpired ? undefined : storedValue;
+            newValue = updater(oldValue);
+            isUpdated = true;
+            if (this.trackUsage) {
+              const pinned = Boolean(previousUsage && previousUsage.pinned);
+              this.keyUsage[key] = { bytes: sizeOf(newValue), accessed: Date.now(), pinned };
+            }
+            return [{ type: 'put', key, value: newValue }].concat(
+              this.getMetadataOperations({ expirations: wasExpired, usage: true })
+            );
+          })
+          .then(
+            ([error]) => {
+              // Successfully stored value in IndexedDB
+              if (!error) {
+                this.delFallback(key);
+                return { store: 'IndexedDB' };
+              }
+              if (this.trackUsage) restoreUsage();
+              // Fallback to memory store
+              if (!useFallback) return Promise.reject(error);
+              this.delFallback(key);
+              return this.setFallback(key, newValue, 'value_rejected', error);
+            },
+            error => {
+              if (this.trackUsage) restoreUsage();
+              // Updater threw, so nothing changed
+              if (!isUpdated) return Promise.reject(error);
+              // Transaction aborted (e.g. quota exceeded), so fallback to memory store
+              this.emit('error', { code: 'transaction_failed', error });
+              this.scheduleRetry();
+              if (!useFallback) return Promise.reject(error);
+              this.delFallback(key);
+              return this.setFallback(key, newValue, 'transaction_failed', error);
+            }
+          );
+      })
+    ).then(({ store }) => {
+      this.publishChange({ type: 'set', key, oldValue, newValue });
+      return { store, value: newValue };
     });
   }
 
   /**
-   * Delete key from IndexedDB
+   * Set key to value only if its current value equals expected, reading and writing in a single transaction
+   * like update(). Values are compared by content (e.g. objects read back from IndexedDB equal the originals).
    * @param {string} key
-   * @return {Promise(<undefined, any>)}
+   * @param {any} expected - Value the key should currently have (undefined if it should be missing)
+   * @param {any} value
+   * @param {boolean} [useFallback] - Store in fallbackChain or memory if unable to use IndexedDB
+   * @returns {Promise<object, any>} - Resolves like set(), or rejects with an Error named 'ConflictError'
+   *                                   (with the current value as error.value) if the value has changed
    */
-  del(key) {
-    return this.indexedDBReady.then(useIndexedDB => {
-      // Delete from memory
-      if (this.fallbackStore.hasOwnProperty(key)) {
-        delete this.fallbackStore[key];
-        return;
-      }
+  setIfUnchanged(key, expected, value, { useFallback = true } = {}) {
+    const updater = currentValue => {
+      if (!isEqual(currentValue, expected)) throw createConflictError(key, currentValue);
+      return value;
+    };
+    return this.timeOperation('setIfUnchanged', [key], () =>
+      this.updateValue(key, updater, { useFallback }).then(({ store }) => ({ store }))
+    );
+  }
 
-      // IndexedDB disabled
-      if (!useIndexedDB) return;
+  /**
+   * Run a task once every earlier update (and tab handoff) has finished
+   * @param {function} task - Returns a Promise
+   * @return {Promise<any, any>} - Settles like the task
+   */
+  queueUpdate(task) {
+    const result = this.updateQueue.then(task);
+    this.updateQueue = result.catch(() => {});
+    return result;
+  }
 
-      // Delete from IndexedDB
-      return del(key, this.store);
-    });
+  /**
+   * Get multiple items, reading everything not found in memory from IndexedDB in a single transaction
+   * @param {array} keys
+   * @param {boolean} [useFallback]
+   * @return {Promise<array, any>} - Values, in the same order as keys
+   */
+  getMany(keys, { useFallback = true } = {}) {
+    return this.timeOperation('get', keys, () => this.readMany(keys, { useFallback, includePending: true }));
   }
 
   /**
-   * List all keys in IndexedDB and memory stores
-   * @returns {Promise<object, any>} { indexedDB: {array}, memory: {array} }
+   * Like getMany(), but optionally ignoring values waiting to be written (see writeBehind)
+   * @param {array} keys
+   * @param {boolean} useFallback
+   * @param {boolean} includePending
+   * @return {Promise<array, any>}
    */
-  keys() {
+  readMany(keys, { useFallback, includePending }) {
     return this.indexedDBReady.then(useIndexedDB => {
-      const memoryKeys = Object.keys(this.fallbackStore);
+      const values = keys.map(() => undefined);
+      const indexedDBIndexes = [];
 
-      if (!useIndexedDB) {
-        return { indexedDB: [], memory: memoryKeys };
-      }
+      // Memory, LocalStorage & SessionStorage lookup
+      keys.forEach((key, index) => {
+        // Values waiting to be written take precedence, unless they've expired
+        const pending = includePending && this.pendingWrites.get(key);
+        if (pending) {
+          const { expiration } = pending.options;
+          if (expiration === undefined || expiration > Date.now()) values[index] = pending.value;
+          return;
+        }
+
+        // Treat expired keys as missing until they're swept
+        if (this.isExpired(key)) return;
+
+        const fallback = useFallback && this.getFallback(key);
+        if (fallback) values[index] = fallback.value;
+        else if (!this.tombstones.has(key)) indexedDBIndexes.push(index);
+      });
+
+      // IndexedDB disabled (and not read-only, or only memory should be read), or nothing left to look up
+      if (!(useIndexedDB || (useFallback && this.isReadOnly)) || !indexedDBIndexes.length) return values;
 
-      return keys(this.store).then(keys => {
-        return { indexedDB: keys, memory: memoryKeys };
+      return this.backend.getMany(indexedDBIndexes.map(index => keys[index])).then(results => {
+        const now = Date.now();
+        indexedDBIndexes.forEach((keyIndex, resultIndex) => {
+          values[keyIndex] = results[resultIndex];
+          // Saved to IndexedDB with the next write
+          if (useIndexedDB && this.keyUsage.hasOwnProperty(keys[keyIndex]))
+            this.keyUsage[keys[keyIndex]].accessed = now;
+        });
+        return values;
       });
     });
   }
 
   /**
-   * Delete everything in memory and IndexedDB store
-   * @return {Promise(<undefined, any>)}
+   * Set multiple keys to values in a single IndexedDB transaction, optionally falling back to
+   * fallbackChain and memory store for each value that couldn't be stored
+   * @param {array} entries - [key, value] pairs
+   * @param {boolean} [useFallback] - Store in fallbackChain or memory if unable to use IndexedDB
+   * @param {number} [ttl] - Milliseconds until keys expire
+   * @param {number|Date} [expiresAt] - When keys expire (overrides ttl)
+   * @param {boolean} [pinned] - Never evict keys to make room for others (only applies if usage is tracked)
+   * @returns {Promise<array, any>} - will reject, or resolve with a result for each entry (see set())
+   *                                  If useFallback is false and some values fail, others may still be stored.
+   *                                  With writeBehind, settles once the values (or values replacing them) are written.
    */
-  clear() {
-    return this.indexedDBReady.then(useIndexedDB => {
-      this.fallbackStore = {};
+  setMany(entries, { useFallback = true, ttl, expiresAt, pinned } = {}) {
+    const keys = entries.map(([key]) => key);
+    return this.timeOperation('set', keys, () => {
+      const expiration = getExpiration(ttl, expiresAt);
+      if (expiration instanceof Error) return Promise.reject(expiration);
 
-      if (!useIndexedDB) return;
+      if (this.writeBehind) return this.queueWrites(entries, { useFallback, expiration, pinned });
 
-      return clear(this.store);
+      let oldValues;
+      return this.getValuesForSubscribers(keys)
+        .then(previousValues => {
+          oldValues = previousValues;
+          return this.setEntries(entries, { useFallback, expiration, pinned });
+        })
+        .then(results => {
+          entries.forEach(([key, value], index) => {
+            this.publishChange({ type: 'set', key, oldValue: oldValues[index], newValue: value });
+          });
+          return results;
+        });
     });
   }
 
   /**
-   * When "latestTabKey" is updated in LocalStorage (e.g. by an application in another tab),
-   * copy everything from IndexedDB to memory and disable IndexedDB in the current tab to
-   * prevent write conflicts.
+   * Keep entries in memory until the next flush(), replacing values already waiting to be written
+   * @param {array} entries - [key, value] pairs
+   * @param {object} options - { useFallback, expiration, pinned }
+   * @returns {Promise<array, any>} - Settles like setMany() once each value (or the value replacing it) is written
    */
-  listenForNewTabOpen() {
-    handleNewTabOpen = handleNewTabOpen.bind(this);
+  queueWrites(entries, options) {
+    // Values being replaced, looked up once per flush for subscribers
+    const keys = entries.map(([key]) => key);
+    const oldValues = keys.some(key => this.getSubscribers(key).length)
+      ? this.readMany(keys, { useFallback: true, includePending: false }).catch(() => [])
+      : Promise.resolve([]);
 
-    // Set value in LocalStorage to alert other tabs that this tab has been opened
-    const latestTabKey = this.latestTabKey,
-      currentTimestamp = Date.now();
+    const results = entries.map(
+      ([key, value], index) =>
+        new Promise((resolve, reject) => {
+          const previous = this.pendingWrites.get(key);
+          const isCoalesced = previous && !previous.isFlushing;
+          this.pendingWrites.set(key, {
+            value,
+            options,
+            oldValue: isCoalesced
+              ? previous.oldValue
+              : previous
+              ? previous.value
+              : oldValues.then(values => values[index]),
+            callbacks: (isCoalesced ? previous.callbacks : []).concat({ resolve, reject }),
+            isFlushing: false,
+          });
+        })
+    );
+    this.scheduleFlush();
+    return Promise.all(results);
+  }
 
-    try {
-      localStorage.setItem(latestTabKey, currentTimestamp);
-    } catch (error) {
-      return this.disable(`Unable to write ${latestTabKey} to localStorage`, error);
-    }
+  /**
+   * Call flush() once no values have been set for writeBehind milliseconds, or maxWriteBehindDelay milliseconds
+   * after the first value waiting to be written was set
+   */
+  scheduleFlush() {
+    const now = Date.now();
+    if (this.flushDeadline === undefined) this.flushDeadline = now + this.maxWriteBehindDelay;
 
-    // Listen for other tabs to change this value
-    window.addEventListener('storage', handleNewTabOpen);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), Math.max(0, Math.min(this.writeBehind, this.flushDeadline - now)));
+  }
 
-    function handleNewTabOpen(event) {
-      if (event.key !== latestTabKey) return;
+  /**
+   * Write every value waiting to be written (see writeBehind), in a single transaction for each set of options
+   * Errors are reported by the set() and setMany() calls that queued the values.
+   * @return {Promise<undefined>} - Resolves once they're written, and earlier flushes have finished
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = undefined;
+    this.flushDeadline = undefined;
 
-      // A new tab was opened
-      // console.log('A new tab was opened. Timestamp = ', event.newValue);
-      window.removeEventListener('storage', handleNewTabOpen);
+    // Values set from now on are written by the next flush
+    const pending = Array.from(this.pendingWrites).filter(([key, write]) => !write.isFlushing);
+    pending.forEach(([key, write]) => {
+      write.isFlushing = true;
+    });
 
-      // Grab all the data from IndexedDB and copy it to memory, disabling IndexedDB usage going forward
-      this.keys()
-        .then(({ indexedDB }) =>
-          Promise.all(
-            indexedDB.map(key =>
-              this.get(key).then(value => {
-                this.fallbackStore[key] = value;
-              })
-            )
-          )
-        )
-        .then(
-          () => {
-            this.disable('new_tab_opened');
-          },
-          error => {
-            this.disable('new_tab_opened', error);
-          }
-        );
-    }
-  }
+    // Write entries with the same options together
+    const groups = pending.reduce((groups, [key, write]) => {
+      const { useFallback, expiration, pinned } = write.options;
+      const group = groups.find(
+        ({ options }) =>
+          options.useFallback === useFallback && options.expiration === expiration && options.pinned === pinned
+      );
+      if (group) group.writes.push([key, write]);
+      else groups.push({ options: write.options, writes: [[key, write]] });
+      return groups;
+    }, []);
+
+    // Written after earlier flushes, so a key's values are written in order
+    const write = () =>
+      Promise.all(
+        groups.map(({ options, writes }) => {
+          const entries = writes.map(([key, write]) => [key, write.value]);
+          return this.setEntries(entries, options).then(
+            results =>
+              Promise.all(writes.map(([key, write]) => write.oldValue)).then(oldValues => {
+                writes.forEach(([key, write], index) => {
+                  if (this.pendingWrites.get(key) === write) this.pendingWrites.delete(key);
+                  write.callbacks.forEach(({ resolve }) => resolve(results[index]));
+                  this.publishChange({ type: 'set', key, oldValue: oldValues[index], newValue: write.value });
+                });
+              }),
+            error => {
+              writes.forEach(([key, write]) => {
+                if (this.pendingWrites.get(key) === write) this.pendingWrites.delete(key);
+                write.callbacks.forEach(({ reject }) => reject(error));
+              });
+            }
+          );
+        })
+      );
+
+    this.flushing = this.flushing.then(write).then(() => {});
+    return this.flushing;
+  }
+
+  /**
+   * Run a task once values waiting to be written (see writeBehind) are written, so they don't overwrite its changes
+   * or get missed by it. Runs it right away if writeBehind isn't set.
+   * @param {function} task
+   * @return {Promise<any, any>} - Settles like the task
+   */
+  afterFlush(task) {
+    if (!this.writeBehind) return Promise.resolve(task());
+    return this.flush().then(task);
+  }
+
+  /**
+   * Store entries in IndexedDB in a single transaction, optionally falling back to fallbackChain and memory store
+   * for each value that couldn't be stored
+   * @param {array} entries - [key, value] pairs
+   * @param {boolean} useFallback
+   * @param {number} [expiration] - Timestamp
+   * @param {boolean} [pinned]
+   * @returns {Promise<array, any>} - See setMany()
+   */
+  setEntries(entries, { useFallback, expiration, pinned }) {
+    const keys = entries.map(([key]) => key);
+    return this.indexedDBReady.then(useIndexedDB => {
+      // Remove any conflicting values in memory store
+      keys.forEach(key => this.delFallback(key));
+      const expirationsChanged = keys.reduce((changed, key) => this.setExpiration(key, expiration) || changed, false);
+
+      // IndexedDB disabled
+      if (!useIndexedDB) {
+        // Fallback to memory store
+        if (useFallback) {
+          return Promise.all(entries.map(([key, value]) => this.setFallback(key, value, 'indexeddb_disabled')));
+        }
+        return Promise.reject(this.disabledReason);
+      }
+
+      return this.putEntries(entries, { pinned, expirationsChanged }).then(
+        errors =>
+          Promise.all(
+            entries.map(([key, value], index) => {
+              // Successfully stored value in IndexedDB
+              if (!errors[index]) return { store: 'IndexedDB' };
+              // Fallback to memory store
+              if (useFallback) return this.setFallback(key, value, 'value_rejected', errors[index]);
+              return Promise.reject(errors[index]);
+            })
+          ),
+        // Transaction aborted (e.g. quota exceeded), so nothing was stored in IndexedDB
+        error => {
+          this.emit('error', { code: 'transaction_failed', error });
+          this.scheduleRetry();
+          if (useFallback) {
+            return Promise.all(
+              entries.map(([key, value]) => this.setFallback(key, value, 'transaction_failed', error))
+            );
+          }
+          return Promise.reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Delete multiple keys, deleting everything not found in memory from IndexedDB in a single transaction
+   * @param {array} keys
+   * @return {Promise(<undefined, any>)}
+   */
+  delMany(keys) {
+    return this.timeOperation('del', keys, () => {
+      let oldValues;
+      return this.afterFlush(() => this.getValuesForSubscribers(keys))
+        .then(previousValues => {
+          oldValues = previousValues;
+          return this.indexedDBReady;
+        })
+        .then(useIndexedDB => {
+          const expirationsChanged = keys.reduce(
+            (changed, key) => this.setExpiration(key, undefined) || changed,
+            false
+          );
+          const usageChanged = keys.reduce((changed, key) => this.deleteUsage(key) || changed, false);
+
+          // Delete from memory, LocalStorage & SessionStorage
+          const indexedDBKeys = keys.filter(key => !this.delFallback(key));
+          this.addTombstones(keys);
+
+          // IndexedDB disabled, or nothing left to delete
+          if (!useIndexedDB || (!indexedDBKeys.length && !expirationsChanged && !usageChanged)) return;
+
+          // Delete from IndexedDB
+          return this.backend
+            .write(
+              indexedDBKeys
+                .map(key => ({ type: 'delete', key }))
+                .concat(this.getMetadataOperations({ expirations: expirationsChanged, usage: usageChanged }))
+            )
+            .then(errors => {
+              const error = errors.find(Boolean);
+              if (error) return Promise.reject(error);
+            });
+        })
+        .then(() => {
+          keys.forEach((key, index) => {
+            this.publishChange({ type: 'del', key, oldValue: oldValues[index], newValue: undefined });
+          });
+        });
+    });
+  }
+
+  /**
+   * Write entries and changed metadata to IndexedDB in a single transaction
+   * If usage is tracked, least-recently used keys are evicted in the same transaction to stay within maxBytes
+   * and the browser's storage quota, retrying once with more evictions if the quota is exceeded anyway
+   * @param {array} entries - [key, value] pairs
+   * @param {boolean} [pinned] - Whether keys should never be evicted (keeps current setting if undefined)
+   * @param {boolean} expirationsChanged
+   * @return {Promise<array, any>} - Resolves with errors for individual entries that couldn't be stored,
+   *                                 or rejects if the transaction failed
+   */
+  putEntries(entries, { pinned, expirationsChanged }) {
+    if (!this.trackUsage) return this.writeEntries(entries, { expirationsChanged });
+
+    const keys = entries.map(([key]) => String(key));
+    const sizes = entries.map(([key, value]) => sizeOf(value));
+    const bytes = sizes.reduce((sum, size) => sum + size, 0);
+
+    const attempt = bytesToFree => {
+      const evictedKeys = this.selectEvictions(bytesToFree, keys);
+      if (!evictedKeys) return Promise.reject(createQuotaError(`Unable to free ${bytesToFree} bytes`));
+
+      // Update usage and expirations in place, restoring them if the transaction fails
+      const previousUsage = {},
+        previousExpirations = {};
+      keys.concat(evictedKeys).forEach(key => {
+        previousUsage[key] = this.keyUsage[key];
+        previousExpirations[key] = this.expirations[key];
+      });
+
+      const now = Date.now();
+      evictedKeys.forEach(key => {
+        delete this.keyUsage[key];
+        if (this.setExpiration(key, undefined)) expirationsChanged = true;
+      });
+      keys.forEach((key, index) => {
+        const isPinned = pinned === undefined ? Boolean(previousUsage[key] && previousUsage[key].pinned) : pinned;
+        this.keyUsage[key] = { bytes: sizes[index], accessed: now, pinned: isPinned };
+      });
+
+      return this.writeEntries(entries, { evictedKeys, expirationsChanged, usageChanged: true }).then(
+        errors => {
+          // Values that couldn't be stored aren't using any space
+          errors.forEach((error, index) => {
+            if (error) delete this.keyUsage[keys[index]];
+          });
+          evictedKeys.forEach(key =>
+            this.publishChange({ type: 'del', key, oldValue: undefined, newValue: undefined })
+          );
+          return errors;
+        },
+        error => {
+          Object.keys(previousUsage).forEach(key => {
+            if (previousUsage[key]) this.keyUsage[key] = previousUsage[key];
+            else delete this.keyUsage[key];
+            this.setExpiration(key, previousExpirations[key]);
+          });
+          return Promise.reject(error);
+        }
+      );
+    };
+
+    return this.getBytesToFree(bytes, keys).then(bytesToFree =>
+      attempt(bytesToFree).catch(error => {
+        if (!isQuotaError(error)) return Promise.reject(error);
+        // Browser's quota is tighter than estimated, so make room for everything being written
+        return attempt(bytesToFree + bytes);
+      })
+    );
+  }
+
+  /**
+   * Write entries, delete evicted keys and save changed metadata in a single IndexedDB transaction
+   * @param {array} entries - [key, value] pairs
+   * @param {array} [evictedKeys]
+   * @param {boolean} [expirationsChanged]
+   * @param {boolean} [usageChanged]
+   * @return {Promise<array, any>} - Resolves with errors for individual entries (e.g. DataCloneError),
+   *                                 which don't abort the transaction, or rejects if the transaction failed
+   */
+  writeEntries(entries, { evictedKeys = [], expirationsChanged = false, usageChanged = false }) {
+    const operations = evictedKeys
+      .map(key => ({ type: 'delete', key }))
+      .concat(entries.map(([key, value]) => ({ type: 'put', key, value })))
+      .concat(this.getMetadataOperations({ expirations: expirationsChanged, usage: usageChanged }));
+    return this.backend
+      .write(operations)
+      .then(errors => errors.slice(evictedKeys.length, evictedKeys.length + entries.length));
+  }
+
+  /**
+   * Backend operations saving metadata that has changed, as part of a write
+   * @param {boolean} expirations - Whether to save expiration times
+   * @param {boolean} usage - Whether to save sizes and access times
+   * @return {array}
+   */
+  getMetadataOperations({ expirations, usage }) {
+    const operations = [];
+    if (expirations) operations.push({ type: 'put', key: EXPIRATIONS_KEY, value: this.expirations });
+    if (usage && this.trackUsage) operations.push({ type: 'put', key: USAGE_KEY, value: this.keyUsage });
+    return operations;
+  }
+
+  /**
+   * Stop tracking usage of a deleted key
+   * @param {string} key
+   * @return {boolean} - Whether usage changed, and needs saving to IndexedDB
+   */
+  deleteUsage(key) {
+    if (!this.keyUsage.hasOwnProperty(key)) return false;
+    delete this.keyUsage[key];
+    return true;
+  }
+
+  /**
+   * Total approximate size of values in IndexedDB, if usage is tracked
+   * @return {number}
+   */
+  getTrackedBytes() {
+    return Object.keys(this.keyUsage).reduce((sum, key) => sum + this.keyUsage[key].bytes, 0);
+  }
+
+  /**
+   * How much space must be freed to write values without exceeding maxBytes or the browser's quota
+   * @param {number} bytes - Approximate size of values to write
+   * @param {array} keys - Keys being written, whose current values will be replaced
+   * @return {Promise<number>}
+   */
+  getBytesToFree(bytes, keys) {
+    const replacedBytes = keys.reduce(
+      (sum, key) => sum + (this.keyUsage.hasOwnProperty(key) ? this.keyUsage[key].bytes : 0),
+      0
+    );
+    const addedBytes = bytes - replacedBytes;
+    const overBudget = this.getTrackedBytes() + addedBytes - this.maxBytes;
+    return estimateStorage().then(estimate => {
+      const overQuota = estimate ? addedBytes - (estimate.quota - estimate.usage) : 0;
+      return Math.max(0, overBudget, overQuota);
+    });
+  }
+
+  /**
+   * Choose least-recently used keys to evict
+   * @param {number} bytesToFree
+   * @param {array} excludedKeys - Keys that mustn't be evicted (e.g. because they're being written)
+   * @return {array|null} - Keys to evict, or null if enough space can't be freed
+   */
+  selectEvictions(bytesToFree, excludedKeys) {
+    if (bytesToFree <= 0) return [];
+
+    const candidates = Object.keys(this.keyUsage)
+      .filter(key => !this.keyUsage[key].pinned && !excludedKeys.includes(key))
+      .sort((a, b) => this.keyUsage[a].accessed - this.keyUsage[b].accessed);
+
+    const evictedKeys = [];
+    let freedBytes = 0;
+    for (let i = 0; i < candidates.length && freedBytes < bytesToFree; i++) {
+      evictedKeys.push(candidates[i]);
+      freedBytes += this.keyUsage[candidates[i]].bytes;
+    }
+    return freedBytes >= bytesToFree ? evictedKeys : null;
+  }
+
+  /**
+   * Approximate storage used by this store, and by the whole origin if the browser can estimate it
+   * @return {Promise<object, any>} - { indexedDB: {number}, memory: {number}, maxBytes: {number},
+   *                                    origin: { usage: {number}, quota: {number} } or null }
+   *                                  plus { localStorage: {number}, sessionStorage: {number} } if in fallbackChain
+   */
+  usage() {
+    return this.indexedDBReady.then(useIndexedDB => {
+      let indexedDBBytes;
+      if (!useIndexedDB && !this.isReadOnly) indexedDBBytes = Promise.resolve(0);
+      else if (this.trackUsage) indexedDBBytes = Promise.resolve(this.getTrackedBytes());
+      else {
+        indexedDBBytes = this.getIndexedDBEntries().then(entries =>
+          entries.reduce((sum, [key, value]) => sum + sizeOf(value), 0)
+        );
+      }
+
+      return indexedDBBytes.then(indexedDB => this.reportUsage(indexedDB));
+    });
+  }
+
+  /**
+   * Add up storage used outside IndexedDB, and by the whole origin, for usage() and diagnostics()
+   * @param {number|null} indexedDB - Approximate bytes stored in IndexedDB, or null if unknown
+   * @return {Promise<object>} - See usage()
+   */
+  reportUsage(indexedDB) {
+    return estimateStorage().then(estimate =>
+      this.fallbackTiers.reduce(
+        (usage, tier) => {
+          usage[tier.name] = tier.bytes;
+          return usage;
+        },
+        {
+          indexedDB,
+          memory: Object.keys(this.fallbackStore).reduce((sum, key) => sum + sizeOf(this.fallbackStore[key]), 0),
+          maxBytes: this.maxBytes,
+          origin: estimate ? { usage: estimate.usage, quota: estimate.quota } : null,
+        }
+      )
+    );
+  }
+
+  /**
+   * Report where values are stored, whether the browser may evict them, and whether it did since the last visit
+   * @return {Promise<object>} - { useIndexedDB: {boolean}, code: {string|null} (why IndexedDB is disabled, see on()),
+   *                               readOnly: {boolean} (whether a newer tab owns IndexedDB),
+   *                               persisted: {boolean|null} (null if the browser can't tell),
+   *                               evicted: {boolean} (whether the store was deleted by the browser) }
+   */
+  status() {
+    return Promise.all([this.indexedDBReady, this.persistRequest.then(isStoragePersisted)]).then(
+      ([useIndexedDB, persisted]) => ({
+        useIndexedDB,
+        code: this.disabledCode,
+        readOnly: this.isReadOnly,
+        persisted,
+        evicted: Boolean(this.eviction),
+      })
+    );
+  }
+
+  /**
+   * Describe the state of the store, e.g. to attach to bug reports
+   * @return {Promise<object>} - { backend: {string} ('indexedDB', 'memory' or 'custom'), useIndexedDB: {boolean},
+   *                               disabledReason: {string|null}, disabledCode: {string|null},
+   *                               version: { stored: {string|null}, expected: {string} },
+   *                               tabRole: {string} ('owner', 'demoted' or 'uncoordinated'),
+   *                               keys: { indexedDB: {number}, memory: {number} } (counts, plus localStorage
+   *                                 and sessionStorage if in fallbackChain), pendingWrites: {number} (values
+   *                                 waiting to be written, see writeBehind), bytes: {object} (see usage(), with
+   *                                 indexedDB null unless trackUsage is set, rather than reading every value),
+   *                               operations: { [operation]: { count: {number}, errors: {number},
+   *                                 recent: { calls: {number}, errors: {number}, meanDuration: {number},
+   *                                 p95Duration: {number}, maxDuration: {number} } } } (durations in milliseconds,
+   *                                 of the last TIMING_SAMPLES calls) }
+   */
+  diagnostics() {
+    const { version, versionKey } = this.storeSettings;
+    const readLocalVersion = () => {
+      try {
+        return this.localStorage ? this.localStorage.getItem(versionKey) : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    return this.indexedDBReady.then(useIndexedDB => {
+      const storedVersion =
+        useIndexedDB || this.isReadOnly
+          ? this.backend
+              .getMany([VERSION_KEY])
+              .then(([storedVersion]) => (storedVersion === undefined ? readLocalVersion() : storedVersion))
+              .catch(readLocalVersion)
+          : Promise.resolve(readLocalVersion());
+
+      // Without flushing values waiting to be written, or reading every value to measure it
+      const indexedDBBytes = !useIndexedDB && !this.isReadOnly ? 0 : this.trackUsage ? this.getTrackedBytes() : null;
+      const keys = this.listKeys(useIndexedDB);
+      return Promise.all([storedVersion, keys, this.reportUsage(indexedDBBytes)]).then(([stored, keys, bytes]) => ({
+        backend: this.backendName,
+        useIndexedDB,
+        disabledReason: this.disabledReason,
+        disabledCode: this.disabledCode,
+        version: { stored, expected: version },
+        tabRole: this.isReadOnly ? 'demoted' : this.releaseTab ? 'owner' : 'uncoordinated',
+        keys: Object.keys(keys).reduce((counts, store) => {
+          counts[store] = keys[store].length;
+          return counts;
+        }, {}),
+        pendingWrites: this.pendingWrites.size,
+        bytes,
+        operations: Object.keys(this.timings).reduce((operations, operation) => {
+          const { count, errors, samples } = this.timings[operation];
+          const durations = samples.map(({ duration }) => duration).sort((a, b) => a - b);
+          operations[operation] = {
+            count,
+            errors,
+            recent: {
+              calls: samples.length,
+              errors: samples.filter(({ failed }) => failed).length,
+              meanDuration: durations.reduce((sum, duration) => sum + duration, 0) / durations.length,
+              p95Duration: durations[Math.ceil(durations.length * 0.95) - 1],
+              maxDuration: durations[durations.length - 1],
+            },
+          };
+          return operations;
+        }, {}),
+      }));
+    });
+  }
+
+  /**
+   * Run an operation, timing it for onTiming and diagnostics()
+   * @param {string} operation - 'get', 'set', 'del', 'clear', 'update' or 'setIfUnchanged'
+   * @param {array} keys
+   * @param {function} run - Returns a Promise
+   * @return {Promise<any, any>} - Settles like the Promise returned by run
+   */
+  timeOperation(operation, keys, run) {
+    const startTime = Date.now();
+    const start = performanceNow();
+    const record = error => {
+      const duration = performanceNow() - start;
+      const timing = this.timings[operation] || (this.timings[operation] = { count: 0, errors: 0, samples: [] });
+      timing.count++;
+      if (error) timing.errors++;
+      timing.samples.push({ duration, failed: Boolean(error) });
+      if (timing.samples.length > TIMING_SAMPLES) timing.samples.shift();
+
+      try {
+        this.onTiming({
+          operation,
+          keys,
+          objectStoreName: this.storeSettings.objectStoreName,
+          startTime,
+          duration,
+          useIndexedDB: this.disabledCode === null,
+          error,
+        });
+      } catch (error) {
+        this.emit('error', { code: 'timing_failed', error });
+      }
+    };
+
+    const result = run().then(
+      result => {
+        record(undefined);
+        return result;
+      },
+      error => {
+        record(error);
+        return Promise.reject(error);
+      }
+    );
+    this.operations.add(result);
+    const forget = () => this.operations.delete(result);
+    result.then(forget, forget);
+    return result;
+  }
+
+  /**
+   * @return {Promise<undefined>} - Resolves once every timed operation running now has settled
+   */
+  settleOperations() {
+    return Promise.all(Array.from(this.operations, operation => operation.catch(() => {}))).then(() => {});
+  }
+
+  /**
+   * List all key-value pairs, reading IndexedDB in a single transaction
+   * Values in memory take precedence over those in IndexedDB, as in get()
+   * @return {Promise<array, any>} - [key, value] pairs
+   */
+  entries() {
+    return this.afterFlush(() => this.indexedDBReady).then(useIndexedDB =>
+      (useIndexedDB || this.isReadOnly ? this.getIndexedDBEntries() : Promise.resolve([])).then(indexedDBEntries => {
+        const fallbackEntries = this.getFallbackEntries();
+        const fallbackKeys = new Set(fallbackEntries.map(([key]) => key));
+        return indexedDBEntries
+          .filter(([key]) => !fallbackKeys.has(String(key)) && !this.tombstones.has(key))
+          .concat(fallbackEntries)
+          .filter(([key]) => !this.isExpired(key));
+      })
+    );
+  }
+
+  /**
+   * List all values, reading IndexedDB in a single transaction
+   * @return {Promise<array, any>}
+   */
+  values() {
+    return this.entries().then(entries => entries.map(([key, value]) => value));
+  }
+
+  /**
+   * Create a portable snapshot of every key-value pair (in IndexedDB, fallbackChain and memory), with expiration
+   * times and this store's version, e.g. to back up data or attach it to a bug report (see src/snapshot.js)
+   * IndexedDB is read a batch at a time, like in iterate(), so large stores are never read all at once.
+   * Values JSON can't represent (e.g. functions) are dropped.
+   * @return {Promise<Blob, any>} - Newline-delimited JSON
+   */
+  export() {
+    const { version, objectStoreName } = this.storeSettings;
+    const nextBatch = this.scan(getQuery(), { batchSize: SNAPSHOT_BATCH_SIZE });
+    const readBatch = () => nextBatch().then(batch => batch && batch.map(({ key, value }) => [key, value]));
+    return createSnapshot(version, objectStoreName, readBatch, this.expirations);
+  }
+
+  /**
+   * Restore a snapshot created by export(), if it has the same version as this store
+   * Entries that have expired since the snapshot was created are skipped.
+   * @param {Blob|string} snapshot
+   * @param {string} [mode] - 'merge' to keep keys that aren't in the snapshot, or 'replace' to clear the store first,
+   *                          in the same IndexedDB transaction as the entries are written, so it's left unchanged if
+   *                          that fails
+   * @return {Promise<array, any>} - Imported keys, or rejects if the snapshot is invalid or has another version, or
+   *                                 replacing the store failed
+   */
+  import(snapshot, { mode = 'merge' } = {}) {
+    if (!['merge', 'replace'].includes(mode)) return Promise.reject(new Error('Invalid mode'));
+
+    return readSnapshot(snapshot).then(({ header, entries }) => {
+      const { version } = this.storeSettings;
+      if (header.version !== version) {
+        return Promise.reject(new Error(`Snapshot version ${header.version} doesn't match ${version}`));
+      }
+
+      // Set entries with the same expiration time together
+      const now = Date.now();
+      const groups = entries
+        .filter(({ expiresAt }) => expiresAt === undefined || expiresAt > now)
+        .reduce((groups, { key, value, expiresAt }) => {
+          const group = groups.find(group => group.expiresAt === expiresAt);
+          if (group) group.entries.push([key, value]);
+          else groups.push({ expiresAt, entries: [[key, value]] });
+          return groups;
+        }, []);
+
+      const keys = groups.reduce((keys, group) => keys.concat(group.entries.map(([key]) => key)), []);
+      const imported =
+        mode === 'replace'
+          ? this.replaceEntries(groups)
+          : Promise.all(groups.map(({ expiresAt, entries }) => this.setMany(entries, { expiresAt })));
+      return imported.then(() => keys);
+    });
+  }
+
+  /**
+   * Replace every key-value pair with entries, clearing IndexedDB and writing them in a single transaction
+   * Values IndexedDB rejects individually (e.g. functions) are kept in memory, as in set().
+   * @param {array} groups - { expiresAt: {number|undefined}, entries: {array} } objects, with [key, value] pairs
+   * @return {Promise<undefined, any>} - Rejects if the transaction failed, leaving every value as it was
+   */
+  replaceEntries(groups) {
+    const groupExpirations = groups.map(({ expiresAt }) => getExpiration(undefined, expiresAt));
+    const invalid = groupExpirations.find(expiration => expiration instanceof Error);
+    if (invalid) return Promise.reject(invalid);
+
+    const expirations = {};
+    groups.forEach(({ entries }, index) => {
+      const expiration = groupExpirations[index];
+      if (expiration !== undefined) entries.forEach(([key]) => (expirations[key] = expiration));
+    });
+    const entries = groups.reduce((all, group) => all.concat(group.entries), []);
+
+    return this.afterFlush(() => this.indexedDBReady).then(useIndexedDB => {
+      // Nothing to write to IndexedDB in the same transaction as it's cleared
+      if (!useIndexedDB) {
+        return this.clear()
+          .then(() => Promise.all(groups.map(({ expiresAt, entries }) => this.setMany(entries, { expiresAt }))))
+          .then(() => {});
+      }
+
+      const now = Date.now();
+      const keyUsage = {};
+      if (this.trackUsage) {
+        entries.forEach(([key, value]) => (keyUsage[key] = { bytes: sizeOf(value), accessed: now, pinned: false }));
+      }
+
+      // Keep the version and sentinel, like clear()
+      const { version } = this.storeSettings;
+      const operations = [{ type: 'clear' }, { type: 'put', key: VERSION_KEY, value: version }];
+      if (this.sentinel) operations.push({ type: 'put', key: SENTINEL_KEY, value: this.sentinel });
+      const offset = operations.length;
+      entries.forEach(([key, value]) => operations.push({ type: 'put', key, value }));
+      operations.push({ type: 'put', key: EXPIRATIONS_KEY, value: expirations });
+      if (this.trackUsage) operations.push({ type: 'put', key: USAGE_KEY, value: keyUsage });
+
+      return this.backend.write(operations).then(errors => {
+        if (errors[0]) return Promise.reject(errors[0]);
+
+        this.fallbackStore = {};
+        this.fallbackTiers.forEach(tier => tier.clear());
+        this.expirations = expirations;
+        this.keyUsage = keyUsage;
+        this.publishChange({ type: 'clear' });
+        return Promise.all(
+          entries.map(([key, value], index) => {
+            const error = errors[offset + index];
+            if (error) delete this.keyUsage[key];
+            this.publishChange({ type: 'set', key, oldValue: undefined, newValue: value });
+            return error && this.setFallback(key, value, 'value_rejected', error);
+          })
+        ).then(() => {});
+      });
+    });
+  }
+
+  /**
+   * Re-encrypt every record in IndexedDB with new key material (see the encryption option), e.g. if the old key may
+   * have leaked. Other instances can still read the records if the old key is in their encryption.previousKeys.
+   * @param {BufferSource|CryptoKey} key
+   * @return {Promise<undefined, any>} - Rejects if encryption isn't enabled, or IndexedDB isn't in use
+   */
+  rotateEncryptionKey(key) {
+    if (!EncryptedBackend.isValidKey(key)) return Promise.reject(new Error('Invalid encryption key'));
+
+    return this.queueUpdate(() =>
+      this.afterFlush(() => this.indexedDBReady).then(useIndexedDB => {
+        if (!useIndexedDB) return Promise.reject(this.disabledReason);
+        if (!this.encryptedBackend) return Promise.reject(new Error('Encryption is not enabled'));
+        return this.encryptedBackend.rotateKey(key);
+      })
+    );
+  }
+
+  /**
+   * Read every key-value pair in IndexedDB (ignoring memory and metadata) in a single transaction
+   * @return {Promise<array, any>} - [key, value] pairs
+   */
+  getIndexedDBEntries() {
+    return this.backend.entries().then(entries => entries.filter(([key]) => !isInternalKey(key)));
+  }
+
+  /**
+   * Read keys from IndexedDB while it's read-only (see listenForNewTabOpen()), except those hidden by tombstones
+   * @param {array} keys
+   * @return {Promise<array, any>} - Values, in the same order as keys, or undefined if IndexedDB isn't read-only
+   */
+  readOnlyMany(keys) {
+    if (!this.isReadOnly) return Promise.resolve(keys.map(() => undefined));
+    return this.backend
+      .getMany(keys)
+      .then(values => values.map((value, index) => (this.tombstones.has(keys[index]) ? undefined : value)));
+  }
+
+  /**
+   * Hide keys deleted while IndexedDB is read-only, until their deletion can be written to it
+   * @param {array} keys
+   */
+  addTombstones(keys) {
+    if (this.isReadOnly) keys.forEach(key => this.tombstones.add(key));
+  }
+
+  /**
+   * Find a key in memory or fallbackChain
+   * @param {string} key
+   * @return {object|undefined} - { value: {any} } if found
+   */
+  getFallback(key) {
+    if (this.fallbackStore.hasOwnProperty(key)) return { value: this.fallbackStore[key] };
+
+    const tier = this.fallbackTiers.find(tier => tier.has(key));
+    if (tier) return { value: tier.get(key) };
+  }
+
+  /**
+   * List all key-value pairs in memory and fallbackChain, with memory taking precedence
+   * @return {array} - [key, value] pairs
+   */
+  getFallbackEntries() {
+    return this.getFallbackKeys().map(({ key }) => [key, this.getFallback(key).value]);
+  }
+
+  /**
+   * List all keys in memory and fallbackChain, with the store get() would read each from
+   * @return {array} - { key: {string}, store: 'memory', 'localStorage' or 'sessionStorage' } objects
+   */
+  getFallbackKeys() {
+    return this.fallbackTiers.reduce(
+      (keys, tier) =>
+        keys.concat(
+          tier
+            .keys()
+            .filter(key => !keys.some(fallbackKey => fallbackKey.key === key))
+            .map(key => ({ key, store: tier.name }))
+        ),
+      Object.keys(this.fallbackStore).map(key => ({ key, store: 'memory' }))
+    );
+  }
+
+  /**
+   * Remove a key from memory and fallbackChain
+   * @param {string} key
+   * @return {boolean} - Whether key was found
+   */
+  delFallback(key) {
+    let wasFound = false;
+    if (this.fallbackStore.hasOwnProperty(key)) {
+      delete this.fallbackStore[key];
+      wasFound = true;
+    }
+    this.fallbackTiers.forEach(tier => {
+      if (!tier.has(key)) return;
+      tier.del(key);
+      wasFound = true;
+    });
+    return wasFound;
+  }
+
+  /**
+   * Store value in the first tier of fallbackChain that accepts it, or in memory
+   * A demoted tab skips LocalStorage, which the tab that owns IndexedDB reads from
+   * @param {string} key
+   * @param {any} value
+   * @param {string} code - Why value isn't stored in IndexedDB, for 'fallback-write' event handlers:
+   *                        'indexeddb_disabled', 'value_rejected' or 'transaction_failed'
+   * @param {any} [error]
+   * @returns {Promise<object>} - { store: 'localStorage', 'sessionStorage' or 'memory' }
+   */
+  setFallback(key, value, code, error) {
+    const tiers = this.fallbackTiers.filter(
+      tier => tier.name !== 'localStorage' || this.disabledReason !== 'new_tab_opened'
+    );
+    return tiers
+      .reduce(
+        (promise, tier) => promise.then(store => store || tier.set(key, value).then(isStored => isStored && tier.name)),
+        Promise.resolve(false)
+      )
+      .then(store => {
+        if (!store) {
+          this.fallbackStore[key] = value;
+          store = 'memory';
+        }
+        this.tombstones.delete(key);
+        this.emit('fallback-write', { key, store, code, error });
+        return { store };
+      });
+  }
+
+  /**
+   * List all keys in IndexedDB, fallbackChain and memory stores
+   * If a prefix, range or limit is given, keys are listed in order (numbers before strings, like IndexedDB), read
+   * with a cursor, and each key is only listed under the store get() would read it from.
+   * @param {string} [prefix] - Only list keys starting with prefix
+   * @param {object} [range] - Only list keys within { lower, upper, lowerOpen, upperOpen } (e.g. an IDBKeyRange)
+   * @param {number} [limit] - Most keys to list, in total
+   * @returns {Promise<object, any>} { indexedDB: {array}, memory: {array} }
+   *                                 plus { localStorage: {array}, sessionStorage: {array} } if in fallbackChain
+   */
+  keys({ prefix, range, limit = Infinity } = {}) {
+    if (prefix !== undefined || range !== undefined || limit !== Infinity) {
+      let query;
+      try {
+        query = getQuery(prefix, range);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+      if (typeof limit !== 'number' || !(limit >= 0)) return Promise.reject(new Error('Invalid limit number'));
+
+      const nextBatch = this.scan(query, { batchSize: Math.min(Math.max(limit, 1), 1000), keysOnly: true });
+      const keys = this.fallbackTiers.reduce((keys, tier) => ({ ...keys, [tier.name]: [] }), {
+        indexedDB: [],
+        memory: [],
+      });
+      let count = 0;
+      const collect = () =>
+        count >= limit
+          ? keys
+          : nextBatch().then(batch => {
+              if (!batch) return keys;
+              batch.slice(0, limit - count).forEach(({ key, store }) => keys[store].push(key));
+              count += Math.min(batch.length, limit - count);
+              return collect();
+            });
+      return Promise.resolve().then(collect);
+    }
+
+    return this.afterFlush(() => this.indexedDBReady).then(useIndexedDB => this.listKeys(useIndexedDB));
+  }
+
+  /**
+   * List all keys in IndexedDB, fallbackChain and memory stores, without waiting for values being written
+   * @param {boolean} useIndexedDB
+   * @returns {Promise<object, any>} - See keys()
+   */
+  listKeys(useIndexedDB) {
+    const isVisible = key => !isInternalKey(key) && !this.isExpired(key) && !this.tombstones.has(key);
+    const fallbackKeys = this.fallbackTiers.reduce(
+      (obj, tier) => {
+        obj[tier.name] = tier.keys().filter(isVisible);
+        return obj;
+      },
+      { memory: Object.keys(this.fallbackStore).filter(isVisible) }
+    );
+
+    if (!useIndexedDB && !this.isReadOnly) {
+      return Promise.resolve({ indexedDB: [], ...fallbackKeys });
+    }
+
+    return this.backend.keys().then(keys => {
+      // Values set while IndexedDB is read-only replace those in it
+      const isReplaced = key => this.isReadOnly && Boolean(this.getFallback(key));
+      return { indexedDB: keys.filter(key => isVisible(key) && !isReplaced(key)), ...fallbackKeys };
+    });
+  }
+
+  /**
+   * Iterate over key-value pairs in order (numbers before strings, like IndexedDB), reading IndexedDB with a cursor
+   * a batch at a time, so large stores are never read all at once. Values in memory and fallbackChain are merged in,
+   * taking precedence like in get().
+   *    for await (const [key, value] of store.iterate({ prefix: 'draft:' })) ...
+   * @param {string} [prefix] - Only iterate over keys starting with prefix
+   * @param {object} [range] - Only iterate over keys within { lower, upper, lowerOpen, upperOpen } (e.g. an IDBKeyRange)
+   * @param {number} [batchSize] - How many entries to read from IndexedDB at a time
+   * @return {object} - Async iterator of [key, value] pairs
+   */
+  iterate({ prefix, range, batchSize = 100 } = {}) {
+    const query = getQuery(prefix, range);
+    if (typeof batchSize !== 'number' || !(batchSize >= 1)) throw new Error('Invalid batchSize number');
+
+    const nextBatch = this.scan(query, { batchSize });
+    let entries = [],
+      isDone = false;
+    const iterator = {
+      next: () => {
+        if (entries.length) {
+          const { key, value } = entries.shift();
+          return Promise.resolve({ value: [key, value], done: false });
+        }
+        if (isDone) return Promise.resolve({ value: undefined, done: true });
+        return nextBatch().then(batch => {
+          if (!batch) isDone = true;
+          else entries = batch;
+          return iterator.next();
+        });
+      },
+      // Called when a loop is exited early
+      return: () => {
+        entries = [];
+        isDone = true;
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]: () => iterator,
+    };
+    return iterator;
+  }
+
+  /**
+   * Read keys (and values) matching a query in order, merging IndexedDB with memory and fallbackChain like get()
+   * Memory and fallbackChain are listed when the scan starts, and IndexedDB is read a batch at a time after that.
+   * @param {object} query - See getQuery()
+   * @param {number} batchSize - How many entries to read from IndexedDB at a time
+   * @param {boolean} [keysOnly] - Whether to skip reading values
+   * @return {function} - Resolves with the next batch of { key, value, store } objects (possibly empty), in order,
+   *                      or null once there are no more
+   */
+  scan(query, { batchSize, keysOnly = false }) {
+    const isVisible = key =>
+      !isInternalKey(key) && !this.isExpired(key) && !this.tombstones.has(key) && matchesQuery(key, query);
+    let started, fallbackKeys, hiddenKeys, lastKey;
+    let isIndexedDBDone = query.isEmpty;
+
+    return () => {
+      if (!started) {
+        started = this.afterFlush(() => this.indexedDBReady).then(useIndexedDB => {
+          if (!useIndexedDB && !this.isReadOnly) isIndexedDBDone = true;
+          const allFallbackKeys = this.getFallbackKeys();
+          // Values in memory and fallbackChain take precedence
+          hiddenKeys = new Set(allFallbackKeys.map(({ key }) => key));
+          fallbackKeys = query.isEmpty ? [] : allFallbackKeys.filter(({ key }) => isVisible(key));
+          fallbackKeys.sort((a, b) => compareKeys(a.key, b.key));
+        });
+      }
+
+      return started.then(() => {
+        if (isIndexedDBDone && !fallbackKeys.length) return null;
+
+        // Continue after the last key read
+        const { lower, upper, lowerOpen, upperOpen } = query;
+        const backendQuery =
+          lastKey === undefined
+            ? { lower, upper, lowerOpen, upperOpen, limit: batchSize }
+            : { lower: lastKey, upper, lowerOpen: true, upperOpen, limit: batchSize };
+        let read = Promise.resolve([]);
+        if (!isIndexedDBDone) {
+          read = keysOnly
+            ? this.backend.keys(backendQuery).then(keys => keys.map(key => [key]))
+            : this.backend.entries(backendQuery);
+        }
+
+        return read.then(entries => {
+          if (entries.length) lastKey = entries[entries.length - 1][0];
+          // Nothing left to read (IndexedDB throws if asked to read from an empty range)
+          if (!entries.length || (upper !== undefined && compareKeys(lastKey, upper) >= 0)) isIndexedDBDone = true;
+
+          const batch = entries
+            .filter(([key]) => isVisible(key) && !hiddenKeys.has(String(key)))
+            .map(([key, value]) => ({ key, value, store: 'indexedDB' }));
+
+          // Merge in keys from memory and fallbackChain up to the last key read from IndexedDB
+          const nextIndex = isIndexedDBDone ? -1 : fallbackKeys.findIndex(({ key }) => compareKeys(key, lastKey) > 0);
+          fallbackKeys.splice(0, nextIndex === -1 ? fallbackKeys.length : nextIndex).forEach(({ key, store }) => {
+            const fallback = this.getFallback(key);
+            // Deleted since the scan started
+            if (!fallback) return;
+            batch.push({ key, value: keysOnly ? undefined : fallback.value, store });
+          });
+
+          return batch.sort((a, b) => compareKeys(a.key, b.key));
+        });
+      });
+    };
+  }
+
+  /**
+   * Whether a key set with a ttl or expiresAt has expired
+   * @param {string} key
+   * @return {boolean}
+   */
+  isExpired(key) {
+    return this.expirations.hasOwnProperty(key) && this.expirations[key] <= Date.now();
+  }
+
+  /**
+   * Update (or remove) a key's expiration time in memory
+   * @param {string} key
+   * @param {number} [expiration] - Timestamp, or undefined if key shouldn't expire
+   * @return {boolean} - Whether expiration times changed, and need saving to IndexedDB
+   */
+  setExpiration(key, expiration) {
+    if (expiration !== undefined) {
+      this.expirations[key] = expiration;
+      return true;
+    }
+    if (!this.expirations.hasOwnProperty(key)) return false;
+    delete this.expirations[key];
+    return true;
+  }
+
+  /**
+   * Delete expired keys from memory, fallbackChain and IndexedDB
+   * Called once IndexedDB is ready, and every sweepInterval milliseconds
+   * @return {Promise<array, any>} - Deleted keys
+   */
+  sweep() {
+    let expiredKeys;
+    return this.indexedDBReady
+      .then(useIndexedDB => {
+        expiredKeys = Object.keys(this.expirations).filter(key => this.isExpired(key));
+        if (!expiredKeys.length) return;
+
+        expiredKeys.forEach(key => {
+          this.delFallback(key);
+          this.deleteUsage(key);
+          delete this.expirations[key];
+        });
+        this.addTombstones(expiredKeys);
+
+        // IndexedDB disabled
+        if (!useIndexedDB) return;
+
+        return this.backend.write(
+          expiredKeys
+            .map(key => ({ type: 'delete', key }))
+            .concat(this.getMetadataOperations({ expirations: true, usage: true }))
+        );
+      })
+      .then(() => {
+        expiredKeys.forEach(key => this.publishChange({ type: 'del', key, oldValue: undefined, newValue: undefined }));
+        return expiredKeys;
+      });
+  }
+
+  /**
+   * Delete everything in memory and IndexedDB store
+   * @param {string} [prefix] - Only delete keys starting with prefix, in a single IndexedDB transaction
+   * @return {Promise(<undefined, any>)}
+   */
+  clear({ prefix } = {}) {
+    return this.timeOperation('clear', [], () => {
+      if (prefix !== undefined) return this.clearPrefix(prefix);
+
+      return this.afterFlush(() => this.indexedDBReady)
+        .then(useIndexedDB => {
+          this.fallbackStore = {};
+          this.fallbackTiers.forEach(tier => tier.clear());
+          this.expirations = {};
+          this.keyUsage = {};
+
+          if (!useIndexedDB) {
+            return (
+              this.isReadOnly &&
+              this.backend.keys().then(keys => this.addTombstones(keys.filter(key => !isInternalKey(key))))
+            );
+          }
+
+          // Keep the version, which workers without LocalStorage would otherwise reset the store for, and the
+          // sentinel, so clearing the store isn't mistaken for eviction
+          const { version } = this.storeSettings;
+          const operations = [{ type: 'clear' }, { type: 'put', key: VERSION_KEY, value: version }];
+          if (this.sentinel) operations.push({ type: 'put', key: SENTINEL_KEY, value: this.sentinel });
+          return this.backend.write(operations).then(([error]) => error && Promise.reject(error));
+        })
+        .then(() => {
+          this.publishChange({ type: 'clear' });
+        });
+    });
+  }
+
+  /**
+   * Delete keys starting with a prefix from memory, fallbackChain and IndexedDB
+   * @param {string} prefix
+   * @return {Promise(<undefined, any>)}
+   */
+  clearPrefix(prefix) {
+    let query;
+    try {
+      query = getQuery(prefix);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    let keys;
+    return this.afterFlush(() => this.indexedDBReady)
+      .then(useIndexedDB =>
+        (useIndexedDB || this.isReadOnly
+          ? this.backend.keys({ lower: query.lower, upper: query.upper })
+          : Promise.resolve([])
+        ).then(indexedDBKeys => {
+          indexedDBKeys = indexedDBKeys.filter(key => !isInternalKey(key) && matchesQuery(key, query));
+          const fallbackKeys = this.getFallbackKeys()
+            .map(({ key }) => key)
+            .filter(key => matchesQuery(key, query));
+          keys = fallbackKeys.concat(indexedDBKeys.filter(key => !fallbackKeys.includes(String(key))));
+
+          fallbackKeys.forEach(key => this.delFallback(key));
+          const expirationsChanged = keys.reduce(
+            (changed, key) => this.setExpiration(key, undefined) || changed,
+            false
+          );
+          const usageChanged = keys.reduce((changed, key) => this.deleteUsage(key) || changed, false);
+          this.addTombstones(keys);
+
+          // IndexedDB disabled, or nothing left to delete
+          if (!useIndexedDB || (!indexedDBKeys.length && !expirationsChanged && !usageChanged)) return;
+          return this.backend
+            .write(
+              indexedDBKeys
+                .map(key => ({ type: 'delete', key }))
+                .concat(this.getMetadataOperations({ expirations: expirationsChanged, usage: usageChanged }))
+            )
+            .then(errors => {
+              const error = errors.find(Boolean);
+              if (error) return Promise.reject(error);
+            });
+        })
+      )
+      .then(() => {
+        keys.forEach(key => this.publishChange({ type: 'del', key, oldValue: undefined, newValue: undefined }));
+      });
+  }
+
+  /**
+   * Stop sweeping, retrying and listening to other tabs, and close the backend, so the instance can be
+   * garbage collected (and a Node process can exit). The instance can't be used afterwards.
+   * @return {Promise<undefined>}
+   */
+  close() {
+    const namespacesClosed = Object.keys(this.namespaces).map(name => this.namespaces[name].close());
+
+    clearInterval(this.sweepTimer);
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.subscriberQueryTimer);
+    this.retryDelay = 0;
+    this.disableOnNewTabOpen = false;
+    this.removePageListeners();
+
+    // Values waiting to be written are written (and published) first, as are changes made by operations still running
+    const closed = this.afterFlush(() => this.settleOperations())
+      .then(() => {
+        if (this.subscribers.length) this.changeChannel.post({ type: 'unsubscribed', key: this.instanceId });
+        this.changeChannel.close();
+        if (this.releaseTab) this.releaseTab();
+        return this.indexedDBReady;
+      })
+      .then(() => this.backend && this.backend.close && this.backend.close())
+      .catch(() => {});
+    return Promise.all(namespacesClosed.concat(closed)).then(() => {});
+  }
+
+  /**
+   * Subscribe to changes of a key (or of every key starting with a prefix), whether made by
+   * this instance or by another tab sharing the same database and object store
+   * Clearing the store notifies every subscriber.
+   * @param {any} key - Key, or key prefix string
+   * @param {function} callback - Called with object
+   *                              { type: 'set' | 'del' | 'clear', key: {any}, oldValue: {any}, newValue: {any},
+   *                                remote: {boolean} }
+   *                              oldValue is only available for changes made in this tab
+   * @param {boolean} [prefix] - Whether key is a prefix matching all keys that start with it
+   * @return {function} - Call to unsubscribe
+   */
+  subscribe(key, callback, { prefix = false } = {}) {
+    if (typeof callback !== 'function') throw new Error('Invalid callback function');
+    if (prefix && typeof key !== 'string') throw new Error('Invalid prefix string');
+
+    return this.addSubscriber({ key, prefix, callback });
+  }
+
+  /**
+   * Subscribe to changes of every key
+   * @param {function} callback - See subscribe()
+   * @return {function} - Call to unsubscribe
+   */
+  onChange(callback) {
+    if (typeof callback !== 'function') throw new Error('Invalid callback function');
+
+    return this.addSubscriber({ all: true, callback });
+  }
+
+  /**
+   * Add a subscriber, letting other instances know once this instance has any (or no longer has any)
+   * @param {object} subscriber - { key, prefix, all, callback }
+   * @return {function} - Call to unsubscribe
+   */
+  addSubscriber(subscriber) {
+    if (!this.subscribers.length) this.changeChannel.post({ type: 'subscribed', key: this.instanceId });
+    this.subscribers.push(subscriber);
+    return () => {
+      if (!this.subscribers.includes(subscriber)) return;
+      this.subscribers = this.subscribers.filter(s => s !== subscriber);
+      if (!this.subscribers.length) this.changeChannel.post({ type: 'unsubscribed', key: this.instanceId });
+    };
+  }
+
+  /**
+   * List subscribers interested in changes to a key
+   * @param {any} key
+   * @return {array}
+   */
+  getSubscribers(key) {
+    return this.subscribers.filter(subscriber => {
+      if (subscriber.all) return true;
+      if (subscriber.prefix) return typeof key === 'string' && key.startsWith(subscriber.key);
+      return subscriber.key === key;
+    });
+  }
+
+  /**
+   * Look up a key's current value, but only if someone will be notified of it changing
+   * @param {any} key
+   * @return {Promise<any>}
+   */
+  getValueForSubscribers(key) {
+    if (!this.getSubscribers(key).length) return Promise.resolve();
+    return this.getValuesForSubscribers([key]).then(values => values[0]);
+  }
+
+  /**
+   * Look up the current values of keys, but only if someone will be notified of any of them changing
+   * @param {array} keys
+   * @return {Promise<array>}
+   */
+  getValuesForSubscribers(keys) {
+    if (!keys.some(key => this.getSubscribers(key).length)) return Promise.resolve([]);
+    return this.readMany(keys, { useFallback: true, includePending: true }).catch(() => []);
+  }
+
+  /**
+   * Notify subscribers in this tab and other tabs of a change made by this instance
+   * Only the change's type and key are posted to other tabs while none of them have subscribers.
+   * @param {object} change - { type, key, oldValue, newValue }
+   */
+  publishChange(change) {
+    this.notifySubscribers({ ...change, remote: false });
+    const hasRemoteSubscribers = this.remoteSubscribers.size || this.isQueryingSubscribers;
+    this.changeChannel.post(hasRemoteSubscribers ? change : { type: change.type, key: change.key });
+  }
+
+  /**
+   * Notify subscribers of a change posted by another instance, or keep track of which instances have subscribers
+   * Changes relayed through LocalStorage (or posted while no other instance had subscribers) don't carry values, so
+   * look up the new value if needed
+   * @param {object} change - { type, key, [oldValue], [newValue] }, where key is the instance id for 'subscribed'
+   *                          and 'unsubscribed'
+   */
+  handleRemoteChange(change) {
+    if (change.type === 'query-subscribers') {
+      if (this.subscribers.length) this.changeChannel.post({ type: 'subscribed', key: this.instanceId });
+      return;
+    }
+    if (change.type === 'subscribed') {
+      this.remoteSubscribers.add(change.key);
+      return;
+    }
+    if (change.type === 'unsubscribed') {
+      this.remoteSubscribers.delete(change.key);
+      return;
+    }
+    if (change.type !== 'set' || change.hasOwnProperty('newValue')) {
+      this.notifySubscribers({ ...change, remote: true });
+      return;
+    }
+    this.getValueForSubscribers(change.key).then(newValue => {
+      this.notifySubscribers({ ...change, newValue, remote: true });
+    });
+  }
+
+  /**
+   * Call subscribed callbacks, isolating them from each other's errors
+   * @param {object} change
+   */
+  notifySubscribers(change) {
+    const subscribers = change.type === 'clear' ? this.subscribers : this.getSubscribers(change.key);
+    subscribers.forEach(({ callback }) => {
+      try {
+        callback(change);
+      } catch (error) {
+        this.emit('error', { code: 'subscriber_failed', error });
+      }
+    });
+  }
+
+  /**
+   * Listen to lifecycle events, each called with an object including a stable code where relevant:
+   *    ready: { useIndexedDB: {boolean}, code: {string|null} } - once IndexedDB is open, or failed to open
+   *    version-reset: { from, to, path, cleared } - see onVersionChange
+   *    fallback-write: { key, store: {string}, code: {string}, error: {any} } - a value was stored outside IndexedDB
+   *      because it's 'indexeddb_disabled', the 'value_rejected' or the 'transaction_failed'
+   *    disabled: { code: {string}, reason: {string}, wasInitialized: {boolean}, error: {any} } - see onDisabled,
+   *      with codes 'backend_unavailable', 'open_failed', 'version_read_failed', 'version_write_failed',
+   *      'version_upgrade_failed', 'migration_failed', 'firefox_private_browsing',
+   *      'firefox_esr_user_profile_corrupted', 'edge_private_browsing', 'webkit_private_browsing', 'quota_exceeded',
+   *      'wrong_encryption_key', 'upgrade_blocked', 'new_tab_opened', 'tab_coordination_failed' or
+   *      'tab_promotion_failed'
+   *    tab-demoted: { error: {any} } - a newer tab owns IndexedDB, which is only read from until it's handed back
+   *    tab-promoted: { flushedKeys: {array}, failedKeys: {array}, deletedKeys: {array} } - ownership was handed
+   *      back, and values set (or keys deleted) in the meantime were written
+   *    recovered: { previousCode: {string|null}, flushedKeys: {array}, failedKeys: {array} } - see onRecovered
+   *    evicted: { code: 'storage_evicted', createdAt: {number} } - on startup, if the browser deleted the store
+   *      (e.g. under storage pressure) since it was last opened, rather than it being reset or cleared
+   *    error: { code: {string}, error: {any} } - with codes 'transaction_failed', 'sweep_failed',
+   *      'subscriber_failed', 'timing_failed' (onTiming threw) or 'handler_failed' (with the event whose handler threw)
+   * @param {string} event
+   * @param {function} handler
+   * @return {function} - Call to stop listening
+   */
+  on(event, handler) {
+    if (!EVENTS.includes(event)) throw new Error('Invalid event name');
+    if (typeof handler !== 'function') throw new Error('Invalid handler function');
+
+    this.listeners[event] = (this.listeners[event] || []).concat(handler);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Call an event's handlers, isolating them from each other's errors, which are reported as 'error' events
+   * (except those of 'error' handlers, which would report themselves)
+   * @param {string} event
+   * @param {object} payload
+   */
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        if (event !== 'error') this.emit('error', { code: 'handler_failed', event, error });
+      }
+    });
+  }
+
+  /**
+   * When a newer tab takes ownership of the store (e.g. an application opened in another tab),
+   * stop writing to IndexedDB in the current tab to prevent write conflicts, but keep reading
+   * values from it when they're accessed, with values set in the meantime kept in memory and
+   * deleted keys hidden by tombstones. When ownership is handed back (the newer tab is closed),
+   * write everything in memory (and the deletions) back to IndexedDB and re-enable it.
+   * @return {Promise<undefined>} - Resolves once this tab owns the store, after the tab that owned it stopped writing
+   *                               to it, or was demoted
+   */
+  listenForNewTabOpen() {
+    handleNewTabOpen = handleNewTabOpen.bind(this);
+    handleTabPromoted = handleTabPromoted.bind(this);
+
+    const latestTabKey = this.latestTabKey;
+
+    // Serializes demotion and promotion, which may be triggered in quick succession
+    let tabHandoff = Promise.resolve();
+    // Until this tab owns the store (or was demoted), operations wait, and nothing was written
+    let isStarting = true;
+
+    let coordinated;
+    try {
+      coordinated = Promise.resolve(
+        this.tabCoordinator(latestTabKey, {
+          onDemote: () => {
+            const isInitial = isStarting;
+            return (tabHandoff = tabHandoff.then(() => handleNewTabOpen(isInitial)));
+          },
+          onPromote: () => (tabHandoff = tabHandoff.then(handleTabPromoted)),
+          // Values waiting to be written when the page is hidden are written before another tab can write
+          onRelease: () => (this.pendingWrites.size ? this.flush() : undefined),
+        })
+      );
+    } catch (error) {
+      coordinated = Promise.reject(error);
+    }
+    const released = coordinated.then(
+      release => {
+        isStarting = false;
+        return release;
+      },
+      error => {
+        isStarting = false;
+        this.releaseTab = undefined;
+        this.disable(`Unable to write ${latestTabKey} to localStorage`, error, 'tab_coordination_failed');
+        return () => {};
+      }
+    );
+    this.releaseTab = () => released.then(release => release());
+    const owned = released.then(() => tabHandoff).then(() => {});
+
+    function handleNewTabOpen(isInitial) {
+      // A new tab was opened (or an older tab still owns the store)
+      // Make IndexedDB read-only, disabling writes to it going forward. Values are read from it when they're
+      // accessed (instead of copying everything to memory, which stalls the tab and may exhaust memory).
+      // Waits for pending updates, and operations still writing, so none are written to IndexedDB after it's
+      // read-only, and the new tab can start writing once it's settled
+      const demote = error => {
+        this.isReadOnly = true;
+        this.disable('new_tab_opened', error);
+        this.emit('tab-demoted', { error });
+      };
+      if (isInitial) return demote(undefined);
+      return this.queueUpdate(() => this.afterFlush(() => {}).then(() => demote(undefined), demote)).then(() =>
+        this.settleOperations()
+      );
+    }
+
+    function handleTabPromoted() {
+      // Only re-enable IndexedDB if it was disabled by a newer tab
+      if (this.disabledReason !== 'new_tab_opened') return;
+
+      // Write everything in memory and fallbackChain back to IndexedDB, and delete keys hidden by tombstones,
+      // holding other operations until it's done
+      // Expiration times set by the newer tab are kept, unless this tab set (or deleted) the same keys since
+      this.indexedDBReady = this.queueUpdate(() => {
+        const entries = this.getFallbackEntries();
+        const keys = entries.map(([key]) => key);
+        const deletedKeys = Array.from(this.tombstones);
+        return this.backend
+          .update([EXPIRATIONS_KEY, USAGE_KEY], ([expirations, usage]) => {
+            this.expirations = { ...expirations, ...this.expirations };
+            deletedKeys.forEach(key => delete this.expirations[key]);
+            if (this.trackUsage) {
+              this.keyUsage = { ...usage, ...this.keyUsage };
+              deletedKeys.forEach(key => delete this.keyUsage[key]);
+              entries.forEach(([key, value]) => {
+                const pinned = Boolean(this.keyUsage[key] && this.keyUsage[key].pinned);
+                this.keyUsage[key] = { bytes: sizeOf(value), accessed: Date.now(), pinned };
+              });
+            }
+            return entries
+              .map(([key, value]) => ({ type: 'put', key, value }))
+              .concat(deletedKeys.map(key => ({ type: 'delete', key })))
+              .concat(this.getMetadataOperations({ expirations: true, usage: true }));
+          })
+          .then(
+            errors => {
+              // Values IndexedDB rejects individually (e.g. functions) stay where they are
+              keys.forEach((key, index) => {
+                if (!errors[index]) this.delFallback(key);
+              });
+              this.isReadOnly = false;
+              this.tombstones = new Set();
+              this.disabledReason = null;
+              this.disabledCode = null;
+              this.emit('tab-promoted', {
+                flushedKeys: keys.filter((key, index) => !errors[index]),
+                failedKeys: keys.filter((key, index) => errors[index]),
+                deletedKeys,
+              });
+              return true;
+            },
+            error => {
+              this.onDisabled({ wasInitialized: true, reason: 'tab_promotion_failed', error });
+              this.emit('disabled', {
+                code: 'tab_promotion_failed',
+                reason: 'tab_promotion_failed',
+                wasInitialized: true,
+                error,
+              });
+              this.disabledReason = 'tab_promotion_failed';
+              this.disabledCode = 'tab_promotion_failed';
+              return false;
+            }
+          );
+      });
+      return this.indexedDBReady;
+    }
+
+    return owned;
+  }
+}
+
+/**
+ * Whether key is reserved for metadata
+ * @param {any} key
+ * @return {boolean}
+ */
+function isInternalKey(key) {
+  return typeof key === 'string' && key.startsWith(INTERNAL_KEY_PREFIX);
 }
 
+/**
+ * Call a function when the page is hidden or unloaded (e.g. the tab is closed, or switched away from on mobile),
+ * which may be the last chance to write anything
+ * @param {function} callback
+ * @return {function} - Call to stop listening
+ */
+function listenForPageHide(callback) {
+  if (typeof window === 'undefined' || typeof document === 'undefined') return () => {};
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') callback();
+  };
+  window.addEventListener('pagehide', callback);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  return () => {
+    window.removeEventListener('pagehide', callback);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+}
+
+/**
+ * Convert keys(), iterate() and clear() options to a query
+ * Prefixes are read from IndexedDB as a range (unless a range is given too), and checked with matchesQuery().
+ * @param {string} [prefix]
+ * @param {object} [range] - { lower, upper, lowerOpen, upperOpen }, e.g. an IDBKeyRange
+ * @return {object} - { prefix, lower, upper, lowerOpen, upperOpen, isEmpty }
+ */
+function getQuery(prefix, range) {
+  if (prefix !== undefined && typeof prefix !== 'string') throw new Error('Invalid prefix string');
+  if (range !== undefined && (!range || typeof range !== 'object')) throw new Error('Invalid range object');
+
+  if (range) {
+    const { lower, upper } = range;
+    const lowerOpen = Boolean(range.lowerOpen),
+      upperOpen = Boolean(range.upperOpen);
+    const order = lower !== undefined && upper !== undefined ? compareKeys(lower, upper) : -1;
+    return {
+      prefix,
+      lower,
+      upper,
+      lowerOpen,
+      upperOpen,
+      isEmpty: order > 0 || (order === 0 && (lowerOpen || upperOpen)),
+    };
+  }
+  if (prefix) return { prefix, lower: prefix, upper: `${prefix}\uffff`, lowerOpen: false, upperOpen: false };
+  return {};
+}
+
+/**
+ * @param {any} key
+ * @param {object} query - See getQuery()
+ * @return {boolean}
+ */
+function matchesQuery(key, query) {
+  if (query.prefix && !(typeof key === 'string' && key.startsWith(query.prefix))) return false;
+  return isInRange(key, query);
+}
+
+/**
+ * Convert set() expiration options to a timestamp
+ * @param {number} [ttl] - Milliseconds from now
+ * @param {number|Date} [expiresAt]
+ * @return {number|undefined|Error} - Timestamp, undefined if key shouldn't expire, or Error if options are invalid
+ */
+function getExpiration(ttl, expiresAt) {
+  if (expiresAt !== undefined) {
+    const timestamp = expiresAt instanceof Date ? expiresAt.getTime() : expiresAt;
+    return typeof timestamp === 'number' && !isNaN(timestamp) ? timestamp : new Error('Invalid expiresAt timestamp');
+  }
+  if (ttl !== undefined) {
+    return typeof ttl === 'number' && ttl >= 0 ? Date.now() + ttl : new Error('Invalid ttl number');
+  }
+}
+
+/**
+ * Whether an error was caused by running out of storage space
+ * @param {any} error
+ * @return {boolean}
+ */
+function isQuotaError(error) {
+  return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * @param {string} message
+ * @return {Error} - Named like the DOMException thrown when the browser's storage quota is exceeded
+ */
+function createQuotaError(message) {
+  const error = new Error(message);
+  error.name = 'QuotaExceededError';
+  return error;
+}
+
+/**
+ * Ask the browser how much storage this origin uses, and may use
+ * @return {Promise<object|null>} - { usage: {number}, quota: {number} }, or null if unsupported
+ */
+function estimateStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return Promise.resolve(null);
+  }
+  return navigator.storage.estimate().catch(() => null);
+}
+
+/**
+ * @return {number} - Milliseconds, with sub-millisecond precision where available, for measuring durations
+ */
+function performanceNow() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+/**
+ * Run a task holding a Web Lock, so tabs (and workers) sharing it run it one at a time, or right away if Web Locks
+ * aren't available
+ * @param {string} name
+ * @param {function} task - Returns a Promise
+ * @return {Promise<any, any>} - Settles like the Promise returned by task
+ */
+function withLock(name, task) {
+  if (typeof navigator === 'undefined' || !navigator.locks) return task();
+  return navigator.locks.request(name, () => task());
+}
+
+/**
+ * Ask the browser not to evict this origin's storage under storage pressure
+ * @return {Promise<boolean|null>} - Whether it agreed, or null if unsupported (e.g. in workers)
+ */
+function requestPersistence() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) {
+    return Promise.resolve(null);
+  }
+  return navigator.storage.persist().catch(() => null);
+}
+
+/**
+ * @return {Promise<boolean|null>} - Whether this origin's storage is persisted, or null if unknown
+ */
+function isStoragePersisted() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persisted) {
+    return Promise.resolve(null);
+  }
+  return navigator.storage.persisted().catch(() => null);
+}
+
+/**
+ * Compare values by content, as if they'd been stored and read back
+ * Dates, ArrayBuffers and typed arrays are compared by value. Other objects (e.g. Blobs) must be identical.
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b || (a !== a && b !== b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (a.constructor !== b.constructor) return false;
+
+  if (a instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+    if (a.byteLength !== b.byteLength) return false;
+    const toBytes = value => new Uint8Array(value.buffer || value, value.byteOffset || 0, value.byteLength);
+    const bytesA = toBytes(a),
+      bytesB = toBytes(b);
+    return bytesA.every((byte, index) => byte === bytesB[index]);
+  }
+  if (!Array.isArray(a) && Object.getPrototypeOf(a) !== Object.prototype) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => b.hasOwnProperty(key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * @param {any} key
+ * @param {any} value - Current value of key
+ * @return {Error} - Thrown by setIfUnchanged() when the value isn't the expected one
+ */
+function createConflictError(key, value) {
+  const error = new Error(`Value of ${key} has changed`);
+  error.name = 'ConflictError';
+  error.value = value;
+  return error;
+}
+
+/**
+ * Read a global (e.g. window.localStorage) without throwing if it's unavailable or access is denied
+ * @param {string} name
+ * @return {any}
+ */
+function getGlobal(name) {
+  try {
+    return typeof window !== 'undefined' ? window[name] : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Stand-ins and backends for running outside the browser
+IdbFallback.MemoryStorage = MemoryStorage;
+IdbFallback.MemoryBackend = MemoryBackend;
+IdbFallback.IndexedDBBackend = IndexedDBBackend;
+IdbFallback.EncryptedBackend = EncryptedBackend;
+IdbFallback.ChunkedBackend = ChunkedBackend;
+IdbFallback.BlobCompatBackend = BlobCompatBackend;
+IdbFallback.SimulatedBackend = SimulatedBackend;
+
 export default IdbFallback;
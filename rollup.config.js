@@ -25,4 +25,14 @@ export default [
     external: ['idb-keyval'],
     output: [{ file: pkg.main, format: 'cjs' }, { file: pkg.module, format: 'es' }],
   },
+
+  // Filesystem backend for Node, built separately because browser bundles can't include fs
+  {
+    input: 'src/backends/file-system.js',
+    external: ['fs', 'path'],
+    output: [
+      { file: 'dist/file-system-backend.cjs.js', format: 'cjs' },
+      { file: 'dist/file-system-backend.esm.js', format: 'es' },
+    ],
+  },
 ];
@@ -0,0 +1,178 @@
+import { readBlob } from '../serialize';
+
+// Marks records standing in for Blobs (including Files), holding { type, mimeType, name, lastModified }
+const BLOB_KEY = '__idbFallbackBlob';
+
+// Record written (and deleted in the same transaction) to check whether Blobs can be stored
+const PROBE_KEY = '__idbFallback_blobProbe';
+
+/**
+ * Storage backend for browsers that can't store Blobs in IndexedDB (e.g. older Safari builds, and WebKit's Private
+ * Browsing), which reject them with a DataCloneError or UnknownError. Once ready, isBlobSupported tells whether a
+ * Blob could be written to the backend it wraps. If it couldn't, Blobs and Files (including those nested in arrays
+ * and plain objects) are stored as an ArrayBuffer and their MIME type, and turned back into Blobs and Files when read.
+ * Otherwise, every method passes straight through.
+ */
+export default class BlobCompatBackend {
+  /**
+   * @param {object} backend - Backend storing records, e.g. an IndexedDBBackend
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.isBlobSupported = true;
+
+    // A failed probe means Blobs can't be stored, not that the backend can't be used
+    this.ready = backend.ready.then(() => {
+      if (typeof Blob === 'undefined') return;
+      return backend
+        .write([
+          { type: 'put', key: PROBE_KEY, value: new Blob(['probe'], { type: 'text/plain' }) },
+          { type: 'delete', key: PROBE_KEY },
+        ])
+        .then(
+          ([error]) => !error,
+          () => false
+        )
+        .then(isBlobSupported => {
+          this.isBlobSupported = isBlobSupported;
+        });
+    });
+  }
+
+  getMany(keys) {
+    if (this.isBlobSupported) return this.backend.getMany(keys);
+    return this.backend.getMany(keys).then(records => records.map(fromRecord));
+  }
+
+  keys(query) {
+    return this.backend.keys(query);
+  }
+
+  entries(query) {
+    if (this.isBlobSupported) return this.backend.entries(query);
+    return this.backend.entries(query).then(entries => entries.map(([key, record]) => [key, fromRecord(record)]));
+  }
+
+  write(operations) {
+    if (this.isBlobSupported) return this.backend.write(operations);
+    return convertBlobs(findBlobs(operations), new Map()).then(converted =>
+      this.backend.write(replaceBlobs(operations, converted))
+    );
+  }
+
+  /**
+   * Blobs are read before the transaction, which can't wait for them, so if callback returns Blobs that haven't
+   * been read, nothing is written, and callback is called again once they have been. Blobs it returns that are
+   * still unread then (i.e. it created new ones) are passed on as they are, and fail like they would have.
+   */
+  update(keys, callback) {
+    if (this.isBlobSupported) return this.backend.update(keys, callback);
+
+    // Records replacing Blobs returned by callback, by Blob
+    const converted = new Map();
+
+    const attempt = isRetry => {
+      let unread = [];
+      return this.backend
+        .update(keys, records => {
+          const operations = callback(records.map(fromRecord));
+          unread = isRetry ? [] : findBlobs(operations).filter(blob => !converted.has(blob));
+          return unread.length ? [] : replaceBlobs(operations, converted);
+        })
+        .then(errors => (unread.length ? convertBlobs(unread, converted).then(() => attempt(true)) : errors));
+    };
+    return attempt(false);
+  }
+
+  close() {
+    return this.backend.close && this.backend.close();
+  }
+}
+
+/**
+ * @param {any} value
+ * @param {array} [blobs]
+ * @return {array} - Blobs in value, or nested in its arrays and plain objects
+ */
+function findBlobs(value, blobs = []) {
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    blobs.push(value);
+  } else if (value && typeof value === 'object' && isPlainObject(value)) {
+    Object.keys(value).forEach(key => findBlobs(value[key], blobs));
+  }
+  return blobs;
+}
+
+/**
+ * Read Blobs into records IndexedDB can store
+ * @param {array} blobs
+ * @param {Map} converted - Records are added to it, by Blob
+ * @return {Promise<Map, any>} converted
+ */
+function convertBlobs(blobs, converted) {
+  return Promise.all(
+    blobs.map(blob =>
+      readBlob(blob).then(data => {
+        const description = { type: 'Blob', mimeType: blob.type };
+        if (typeof File !== 'undefined' && blob instanceof File) {
+          Object.assign(description, { type: 'File', name: blob.name, lastModified: blob.lastModified });
+        }
+        converted.set(blob, { [BLOB_KEY]: description, data });
+      })
+    )
+  ).then(() => converted);
+}
+
+/**
+ * Copy value with Blobs replaced by their records, leaving arrays and objects without Blobs as they are
+ * @param {any} value
+ * @param {Map} converted - See convertBlobs()
+ * @return {any}
+ */
+function replaceBlobs(value, converted) {
+  if (converted.has(value)) return converted.get(value);
+  return mapObject(value, child => replaceBlobs(child, converted));
+}
+
+/**
+ * Restore Blobs replaced by replaceBlobs()
+ * @param {any} record
+ * @return {any}
+ */
+function fromRecord(record) {
+  if (record && record[BLOB_KEY]) {
+    const { type, mimeType, name, lastModified } = record[BLOB_KEY];
+    if (type === 'File' && typeof File !== 'undefined') {
+      return new File([record.data], name, { type: mimeType, lastModified });
+    }
+    return new Blob([record.data], { type: mimeType });
+  }
+  return mapObject(record, fromRecord);
+}
+
+/**
+ * @param {any} value
+ * @param {function} callback - Called with each value in an array or plain object
+ * @return {any} - Copy of the array or object with values returned by callback, or value if none changed
+ */
+function mapObject(value, callback) {
+  if (!value || typeof value !== 'object' || !isPlainObject(value)) return value;
+  const keys = Object.keys(value);
+  const values = keys.map(key => callback(value[key]));
+  if (values.every((child, index) => child === value[keys[index]])) return value;
+  if (Array.isArray(value)) return values;
+  return keys.reduce((obj, key, index) => {
+    obj[key] = values[index];
+    return obj;
+  }, {});
+}
+
+/**
+ * @param {object} value
+ * @return {boolean} - Whether value is an array or plain object, which are the only ones searched for Blobs
+ */
+function isPlainObject(value) {
+  if (Array.isArray(value)) return true;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
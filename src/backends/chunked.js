@@ -0,0 +1,364 @@
+import { readVisible } from './memory';
+
+// Marks records standing in for values split into chunks, holding { id, count, size, type, compressed, ... }
+const CHUNKED_KEY = '__idbFallbackChunked';
+
+// Chunk records are stored under `${CHUNK_KEY_PREFIX}${id}:${index}`
+const CHUNK_KEY_PREFIX = '__idbFallback_chunk:';
+
+// Record listing chunked keys, { [JSON.stringify(key)]: { id, count } }, read in the same transaction as every write
+// so chunks of values being replaced or deleted are deleted with them
+const INDEX_KEY = '__idbFallback_chunks';
+
+/**
+ * Storage backend that splits Blobs (including Files) and ArrayBuffers larger than chunkSize into chunk records
+ * before passing them to another backend, optionally compressing each chunk (with CompressionStream, where
+ * available), so very large values don't hit per-record limits or have to be held in memory at once.
+ * get() reassembles them, chunk records are hidden from keys() and entries(), and replacing or deleting a value
+ * deletes its chunks in the same transaction.
+ *
+ * Chunks are written in a single transaction with their value, except by update(), whose callback can't wait for
+ * compression, so values it returns are split without being compressed.
+ */
+export default class ChunkedBackend {
+  /**
+   * @param {object} backend - Backend storing records, e.g. an IndexedDBBackend
+   * @param {number} [chunkSize] - Largest value (in bytes) stored as a single record, and size of each chunk
+   * @param {boolean} [compress] - Whether to gzip chunks
+   */
+  constructor(backend, { chunkSize = 4 * 1024 * 1024, compress = false } = {}) {
+    this.backend = backend;
+    this.chunkSize = chunkSize;
+    this.compress = compress && typeof CompressionStream !== 'undefined';
+    this.ready = backend.ready;
+  }
+
+  getMany(keys) {
+    return this.backend
+      .getMany(keys)
+      .then(records => Promise.all(records.map((record, index) => this.resolve(keys[index], record))));
+  }
+
+  keys(query) {
+    const read = query => this.backend.keys(query);
+    return readVisible(read, query, isValueKey).then(keys => keys.filter(isValueKey));
+  }
+
+  entries(query) {
+    const read = query => this.backend.entries(query);
+    return readVisible(read, query, isValueKey, ([key]) => key).then(entries => {
+      // Chunks are read along with everything else, unless they're outside the range
+      const chunks = new Map(entries.filter(([key]) => isChunkKey(key)));
+      return Promise.all(
+        entries
+          .filter(([key]) => !isChunkKey(key))
+          .map(([key, record]) => {
+            if (!isChunked(record)) return [key, record];
+            const { id, count } = record[CHUNKED_KEY];
+            const stored = getChunkKeys(id, count).map(chunkKey => chunks.get(chunkKey));
+            const value = stored.includes(undefined)
+              ? this.resolve(key, record)
+              : assemble(record[CHUNKED_KEY], stored);
+            return value.then(value => [key, value]);
+          })
+      );
+    });
+  }
+
+  write(operations) {
+    // Split (and compress) values before the transaction, which can't wait for them
+    return Promise.all(
+      operations.map(operation =>
+        operation.type === 'put' && this.isLarge(operation.value) ? this.split(operation.value) : undefined
+      )
+    ).then(splits => {
+      let expanded;
+      return this.backend
+        .update([INDEX_KEY], ([index]) => {
+          expanded = this.expand(operations, splits, index);
+          return expanded.map(({ operation }) => operation);
+        })
+        .then(errors => collectErrors(operations, expanded, errors));
+    });
+  }
+
+  /**
+   * Values split into chunks are reassembled before the transaction, which can't wait for them to be read, and
+   * callback is only called once every value it needs has been reassembled.
+   */
+  update(keys, callback) {
+    // Reassembled values, by chunk id
+    const values = {};
+
+    const attempt = () => {
+      let missing = [],
+        operations,
+        expanded;
+      return this.backend
+        .update([INDEX_KEY].concat(keys), ([index, ...records]) => {
+          missing = records
+            .map((record, i) => ({ key: keys[i], record }))
+            .filter(({ record }) => isChunked(record) && !values.hasOwnProperty(record[CHUNKED_KEY].id));
+          if (missing.length) return [];
+
+          operations = callback(records.map(record => (isChunked(record) ? values[record[CHUNKED_KEY].id] : record)));
+          const splits = operations.map(operation =>
+            operation.type === 'put' && this.isLarge(operation.value) ? splitSync(operation.value, this) : undefined
+          );
+          expanded = this.expand(operations, splits, index);
+          return expanded.map(({ operation }) => operation);
+        })
+        .then(errors => {
+          if (!missing.length) return collectErrors(operations, expanded, errors);
+          return Promise.all(
+            missing.map(({ key, record }) =>
+              this.readChunks(record).then(
+                value => {
+                  values[record[CHUNKED_KEY].id] = value;
+                },
+                error => this.getReplacement(key, record, error)
+              )
+            )
+          ).then(attempt);
+        });
+    };
+    return attempt();
+  }
+
+  close() {
+    return this.backend.close && this.backend.close();
+  }
+
+  /**
+   * @param {any} value
+   * @return {boolean} - Whether value should be split into chunks
+   */
+  isLarge(value) {
+    if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size > this.chunkSize;
+    return value instanceof ArrayBuffer && value.byteLength > this.chunkSize;
+  }
+
+  /**
+   * Split a value into chunks, compressing them if enabled
+   * @param {Blob|ArrayBuffer} value
+   * @return {Promise<object, any>} - { description: {object}, chunks: {array} }
+   */
+  split(value) {
+    const { description, chunks } = splitSync(value, this);
+    if (!this.compress) return Promise.resolve({ description, chunks });
+
+    const isBlob = description.type !== 'ArrayBuffer';
+    return Promise.all(chunks.map(chunk => transform(chunk, new CompressionStream('gzip'), isBlob))).then(chunks => ({
+      description: { ...description, compressed: true },
+      chunks,
+    }));
+  }
+
+  /**
+   * Turn operations into the operations actually written: chunks are put alongside values split into them, and
+   * deleted with the values they belong to
+   * @param {array} operations
+   * @param {array} splits - { description, chunks } for each operation putting a value split into chunks
+   * @param {object} [storedIndex]
+   * @return {array} - { operation, operationIndex } objects, with the index of the operation each is written for
+   */
+  expand(operations, splits, storedIndex = {}) {
+    let index = { ...storedIndex },
+      isIndexChanged = false;
+    const expanded = [];
+
+    operations.forEach((operation, i) => {
+      const add = added => added.forEach(op => expanded.push({ operation: op, operationIndex: i }));
+
+      if (operation.type === 'clear') {
+        index = {};
+        isIndexChanged = true;
+        add([operation]);
+        return;
+      }
+
+      // Delete chunks of the value being replaced or deleted
+      const name = JSON.stringify(operation.key);
+      if (index[name]) {
+        add(getChunkKeys(index[name].id, index[name].count).map(key => ({ type: 'delete', key })));
+        delete index[name];
+        isIndexChanged = true;
+      }
+
+      if (!splits[i]) {
+        add([operation]);
+        return;
+      }
+
+      const { description, chunks } = splits[i];
+      add(getChunkKeys(description.id, chunks.length).map((key, j) => ({ type: 'put', key, value: chunks[j] })));
+      add([{ type: 'put', key: operation.key, value: { [CHUNKED_KEY]: description } }]);
+      index[name] = { id: description.id, count: chunks.length };
+      isIndexChanged = true;
+    });
+
+    if (isIndexChanged) expanded.push({ operation: { type: 'put', key: INDEX_KEY, value: index }, operationIndex: -1 });
+    return expanded;
+  }
+
+  /**
+   * Reassemble a value split into chunks, or read the value replacing it if its chunks have been deleted since
+   * @param {any} key
+   * @param {any} record
+   * @return {Promise<any, any>}
+   */
+  resolve(key, record) {
+    if (!isChunked(record)) return Promise.resolve(record);
+    return this.readChunks(record).catch(error =>
+      this.getReplacement(key, record, error).then(current => this.resolve(key, current))
+    );
+  }
+
+  /**
+   * @param {object} record - Stands in for a value split into chunks
+   * @return {Promise<any, any>} - Rejects with a NotFoundError if any chunks are missing
+   */
+  readChunks(record) {
+    const { id, count } = record[CHUNKED_KEY];
+    return this.backend.getMany(getChunkKeys(id, count)).then(chunks => {
+      if (chunks.some(chunk => chunk === undefined)) {
+        const error = new Error(`Chunks of ${id} are missing`);
+        error.name = 'NotFoundError';
+        return Promise.reject(error);
+      }
+      return assemble(record[CHUNKED_KEY], chunks);
+    });
+  }
+
+  /**
+   * Read a key again after failing to read its chunks, which is expected if its value was replaced in the meantime
+   * @param {any} key
+   * @param {object} record - Value that couldn't be read
+   * @param {any} error
+   * @return {Promise<any, any>} - Current record, or rejects with error if the value hasn't been replaced
+   */
+  getReplacement(key, record, error) {
+    return this.backend.getMany([key]).then(([current]) => {
+      const isReplaced = !isChunked(current) || current[CHUNKED_KEY].id !== record[CHUNKED_KEY].id;
+      return isReplaced ? current : Promise.reject(error);
+    });
+  }
+}
+
+/**
+ * Split a value into uncompressed chunks
+ * @param {Blob|ArrayBuffer} value
+ * @param {ChunkedBackend} backend
+ * @return {object} - { description: {object}, chunks: {array} }
+ */
+function splitSync(value, { chunkSize }) {
+  const size = value instanceof ArrayBuffer ? value.byteLength : value.size;
+  const chunks = [];
+  for (let start = 0; start < size; start += chunkSize) {
+    chunks.push(value.slice(start, start + chunkSize));
+  }
+
+  const description = {
+    id: `${Date.now()}_${Math.random()
+      .toString(36)
+      .slice(2)}`,
+    count: chunks.length,
+    size,
+  };
+  if (value instanceof ArrayBuffer) {
+    description.type = 'ArrayBuffer';
+  } else if (typeof File !== 'undefined' && value instanceof File) {
+    Object.assign(description, {
+      type: 'File',
+      mimeType: value.type,
+      name: value.name,
+      lastModified: value.lastModified,
+    });
+  } else {
+    Object.assign(description, { type: 'Blob', mimeType: value.type });
+  }
+  return { description, chunks };
+}
+
+/**
+ * Put chunks back together, decompressing them if needed
+ * @param {object} description - Stored in place of the value
+ * @param {array} chunks
+ * @return {Promise<Blob|ArrayBuffer, any>}
+ */
+function assemble(description, chunks) {
+  const isBlob = description.type !== 'ArrayBuffer';
+  const decompressed = description.compressed
+    ? Promise.all(chunks.map(chunk => transform(chunk, new DecompressionStream('gzip'), isBlob)))
+    : Promise.resolve(chunks);
+
+  return decompressed.then(chunks => {
+    if (description.type === 'File' && typeof File !== 'undefined') {
+      return new File(chunks, description.name, { type: description.mimeType, lastModified: description.lastModified });
+    }
+    if (isBlob) return new Blob(chunks, { type: description.mimeType });
+
+    const bytes = new Uint8Array(description.size);
+    chunks.reduce((offset, chunk) => {
+      bytes.set(new Uint8Array(chunk), offset);
+      return offset + chunk.byteLength;
+    }, 0);
+    return bytes.buffer;
+  });
+}
+
+/**
+ * Pipe a chunk through a CompressionStream or DecompressionStream
+ * @param {Blob|ArrayBuffer} chunk
+ * @param {TransformStream} stream
+ * @param {boolean} isBlob - Whether to resolve with a Blob (or an ArrayBuffer)
+ * @return {Promise<Blob|ArrayBuffer, any>}
+ */
+function transform(chunk, stream, isBlob) {
+  const response = new Response(new Blob([chunk]).stream().pipeThrough(stream));
+  return isBlob ? response.blob() : response.arrayBuffer();
+}
+
+/**
+ * Map errors of written operations back to the operations they were written for
+ * @param {array} operations
+ * @param {array} expanded - Written operations, see expand()
+ * @param {array} errors - Error (or undefined) of each written operation
+ * @return {array}
+ */
+function collectErrors(operations, expanded, errors) {
+  return operations.map((operation, i) => errors.find((error, j) => error && expanded[j].operationIndex === i));
+}
+
+/**
+ * @param {string} id
+ * @param {number} count
+ * @return {array}
+ */
+function getChunkKeys(id, count) {
+  return Array.from({ length: count }, (_, index) => `${CHUNK_KEY_PREFIX}${id}:${index}`);
+}
+
+/**
+ * @param {any} key
+ * @return {boolean} - Whether key is a chunk record or the index of chunked keys
+ */
+function isChunkKey(key) {
+  return typeof key === 'string' && (key.startsWith(CHUNK_KEY_PREFIX) || key === INDEX_KEY);
+}
+
+/**
+ * @param {any} key
+ * @return {boolean} - Whether it's the key of a value, rather than of a chunk or the index
+ */
+function isValueKey(key) {
+  return !isChunkKey(key);
+}
+
+/**
+ * @param {any} record
+ * @return {boolean} - Whether record stands in for a value split into chunks
+ */
+function isChunked(record) {
+  return Boolean(record && typeof record === 'object' && record[CHUNKED_KEY]);
+}
@@ -0,0 +1,475 @@
+import { encode, decode } from '../serialize';
+import { compareKeys, isInRange, readVisible } from './memory';
+
+// Marks records encrypted by EncryptedBackend, holding the id of the key that encrypted them
+const ENCRYPTED_KEY = '__idbFallbackEncrypted';
+
+// Record (never hashed or encrypted) holding the id of the current key, so a wrong key is noticed before anything
+// is written with it
+const KEY_CHECK_KEY = '__idbFallback_encryptionKey';
+
+/**
+ * Storage backend that encrypts values (and optionally key names) with AES-GCM before passing them to another
+ * backend, and decrypts them when read. Values are encoded with serialize.js first, so Blobs, ArrayBuffers and
+ * Dates survive.
+ *
+ * Keys are derived (with HKDF) from key material: an ArrayBuffer or typed array of random bytes, e.g.
+ * crypto.getRandomValues(new Uint8Array(32)), or a non-extractable HKDF CryptoKey. Records encrypted with a key that
+ * isn't the current key or one of previousKeys reject with an Error named 'EncryptionKeyError'.
+ *
+ * Records stored before encryption was enabled are read as they are, and encrypted when next written (or by
+ * rotateKey()).
+ */
+export default class EncryptedBackend {
+  /**
+   * @param {object} backend - Backend storing encrypted records, e.g. an IndexedDBBackend
+   * @param {BufferSource|CryptoKey} key - Key material to encrypt with
+   * @param {array} [previousKeys] - Key material that older records may still be encrypted with
+   * @param {boolean} [hashKeyNames] - Whether to store keys under an HMAC of their name, so names aren't readable.
+   *                                   keys() and entries() then list every storage key to find the names within a
+   *                                   range, reading and decrypting each name the first time it's listed.
+   */
+  constructor(backend, { key, previousKeys = [], hashKeyNames = false }) {
+    this.backend = backend;
+    this.hashKeyNames = hashKeyNames;
+
+    // Decrypted key names by storage key, if hashed, so each is only decrypted once
+    this.names = new Map();
+
+    // Derived keys, with the current key first: [{ id, encryptionKey, nameKey }]
+    this.cryptoKeys = [];
+
+    // Rejects if key material is invalid, or records were encrypted with another key
+    this.ready = Promise.all([backend.ready, deriveKeys(key)].concat(previousKeys.map(deriveKeys)))
+      .then(([, ...cryptoKeys]) => {
+        this.cryptoKeys = cryptoKeys;
+        return backend.getMany([KEY_CHECK_KEY]);
+      })
+      .then(([keyCheck]) => {
+        if (!keyCheck) return backend.write([this.getKeyCheckOperation()]);
+        if (!this.findCryptoKey(keyCheck.id)) return Promise.reject(createKeyError());
+      });
+  }
+
+  getMany(keys) {
+    return this.ready
+      .then(() => Promise.all(keys.map(key => this.getStorageKey(key))))
+      .then(storageKeys => this.backend.getMany(storageKeys))
+      .then(records => Promise.all(records.map(record => this.decrypt(record))));
+  }
+
+  keys(query) {
+    if (!this.hashKeyNames) {
+      const read = query => this.backend.keys(query);
+      return this.ready.then(() => readVisible(read, query, isRecordKey)).then(keys => keys.filter(isRecordKey));
+    }
+    return this.readNames(query).then(names => names.map(({ key }) => key));
+  }
+
+  entries(query) {
+    let records;
+    if (!this.hashKeyNames) {
+      const read = query => this.backend.entries(query);
+      records = this.ready
+        .then(() => readVisible(read, query, isRecordKey, ([key]) => key))
+        .then(entries => this.readRecords(entries));
+    } else if (!query) {
+      records = this.readRecords();
+    } else {
+      records = this.readNames(query).then(names =>
+        this.backend.getMany(names.map(({ storageKey }) => storageKey)).then(storedRecords =>
+          names
+            .map(({ key }, index) => ({ key, record: storedRecords[index] }))
+            // Deleted since its name was listed
+            .filter(({ record }) => record !== undefined)
+        )
+      );
+    }
+    return records.then(records =>
+      Promise.all(records.map(({ key, record }) => this.decrypt(record).then(value => [key, value])))
+    );
+  }
+
+  write(operations) {
+    return this.ready.then(() => this.encryptOperations(operations)).then(encrypted => this.writeEncrypted(encrypted));
+  }
+
+  /**
+   * WebCrypto is asynchronous, so records can't be decrypted and encrypted within a single transaction. Instead,
+   * they're read and decrypted, and the encrypted operations are only written if the records haven't changed in the
+   * meantime (otherwise callback is called again with the new values). callback may therefore run more than once,
+   * and mustn't have side effects.
+   */
+  update(keys, callback) {
+    return this.ready
+      .then(() => Promise.all(keys.map(key => this.getStorageKey(key))))
+      .then(storageKeys => {
+        const attempt = () =>
+          this.backend.getMany(storageKeys).then(records =>
+            Promise.all(records.map(record => this.decrypt(record)))
+              .then(values => this.encryptOperations(callback(values)))
+              .then(encrypted => {
+                let isChanged = false;
+                return this.writeEncrypted(encrypted, storageKeys, currentRecords => {
+                  isChanged = currentRecords.some((record, index) => !isSameRecord(record, records[index]));
+                  return !isChanged;
+                }).then(errors => (isChanged ? attempt() : errors));
+              })
+          );
+        return attempt();
+      });
+  }
+
+  close() {
+    return this.backend.close && this.backend.close();
+  }
+
+  /**
+   * Re-encrypt every record (and key name) with new key material, keeping the current key to read records written
+   * by other instances that haven't rotated yet
+   * @param {BufferSource|CryptoKey} key
+   * @return {Promise<undefined, any>}
+   */
+  rotateKey(key) {
+    return Promise.all([this.ready, deriveKeys(key)]).then(([, cryptoKey]) => {
+      const attempt = () =>
+        this.backend.entries().then(storedEntries => {
+          const records = storedEntries.filter(([storageKey]) => storageKey !== KEY_CHECK_KEY);
+          const storageKeys = records.map(([storageKey]) => storageKey);
+
+          return this.readRecords(records)
+            .then(decryptedRecords =>
+              Promise.all(
+                decryptedRecords.map(({ key, record }) =>
+                  this.decrypt(record).then(value => encryptOperation({ type: 'put', key, value }, cryptoKey, this))
+                )
+              )
+            )
+            .then(operations => {
+              // Records are moved if their hashed names change
+              const deletions = storageKeys
+                .filter(storageKey => !operations.some(operation => operation.key === storageKey))
+                .map(storageKey => ({ type: 'delete', key: storageKey }));
+              const keyCheck = { type: 'put', key: KEY_CHECK_KEY, value: { id: cryptoKey.id } };
+
+              if (!records.length) return this.backend.write([keyCheck]).then(() => {});
+
+              let isChanged = false;
+              return this.backend
+                .update(storageKeys, currentRecords => {
+                  isChanged = currentRecords.some((record, index) => !isSameRecord(record, records[index][1]));
+                  return isChanged ? [] : deletions.concat(operations, keyCheck);
+                })
+                .then(errors => {
+                  if (isChanged) return attempt();
+                  const error = errors.find(Boolean);
+                  if (error) return Promise.reject(error);
+                });
+            });
+        });
+
+      // Until rotated, records are encrypted with the previous key, which can still be read
+      return attempt().then(() => {
+        this.cryptoKeys = [cryptoKey].concat(this.cryptoKeys.filter(({ id }) => id !== cryptoKey.id));
+      });
+    });
+  }
+
+  /**
+   * Read every record (except the key check), with its decrypted key name, in order
+   * @param {array} [storedEntries] - [storageKey, record] pairs, read from the backend if not given
+   * @return {Promise<array, any>} - { key, record } objects
+   */
+  readRecords(storedEntries) {
+    return this.ready
+      .then(() => storedEntries || this.backend.entries())
+      .then(storedEntries =>
+        Promise.all(
+          storedEntries
+            .filter(([storageKey]) => storageKey !== KEY_CHECK_KEY)
+            .map(([storageKey, record]) => {
+              // Records stored before key names were hashed keep their names
+              const key =
+                this.hashKeyNames && isEncrypted(record) && record.name
+                  ? this.decryptBytes(record[ENCRYPTED_KEY], record.name).then(bytes =>
+                      JSON.parse(new TextDecoder().decode(bytes))
+                    )
+                  : Promise.resolve(storageKey);
+              return key.then(key => {
+                if (this.hashKeyNames) this.names.set(storageKey, key);
+                return { key, record };
+              });
+            })
+        )
+      )
+      .then(records => {
+        // Hashed names are in a different order
+        if (!this.hashKeyNames) return records;
+        return records.sort((a, b) => compareKeys(a.key, b.key));
+      });
+  }
+
+  /**
+   * List key names within a range, in order, up to a limit, with the storage key of each
+   * Hashed names are in a different order, so every storage key is listed, but only records whose names haven't
+   * been decrypted before are read.
+   * @param {object} [query] - { lower, upper, lowerOpen, upperOpen, limit }, all optional
+   * @return {Promise<array, any>} - { key, storageKey } objects
+   */
+  readNames({ limit = Infinity, ...bounds } = {}) {
+    return this.ready
+      .then(() => this.backend.keys())
+      .then(storageKeys => {
+        storageKeys = storageKeys.filter(isRecordKey);
+        const unnamed = storageKeys.filter(storageKey => !this.names.has(storageKey));
+        const read = unnamed.length ? this.backend.getMany(unnamed) : Promise.resolve([]);
+        return read
+          .then(records =>
+            this.readRecords(
+              unnamed
+                .map((storageKey, index) => [storageKey, records[index]])
+                // Deleted since it was listed
+                .filter(([, record]) => record !== undefined)
+            )
+          )
+          .then(() => {
+            // Forget names of deleted records
+            const names = this.names;
+            this.names = new Map(storageKeys.filter(key => names.has(key)).map(key => [key, names.get(key)]));
+
+            return Array.from(this.names, ([storageKey, key]) => ({ key, storageKey }))
+              .filter(({ key }) => isInRange(key, bounds))
+              .sort((a, b) => compareKeys(a.key, b.key))
+              .slice(0, limit);
+          });
+      });
+  }
+
+  /**
+   * Encrypt values and hash key names of operations, in parallel
+   * @param {array} operations
+   * @return {Promise<array, any>} - Operations to write, or errors for values that can't be stored (like IndexedDB,
+   *                                 a value that can't be cloned fails without failing the others)
+   */
+  encryptOperations(operations) {
+    const cryptoKey = this.cryptoKeys[0];
+    return Promise.all(
+      operations.map(operation => encryptOperation(operation, cryptoKey, this).catch(error => ({ error })))
+    );
+  }
+
+  /**
+   * Write encrypted operations in a single transaction, putting back the key check if the store is cleared
+   * @param {array} encrypted - Operations, or { error } for operations that failed to encrypt
+   * @param {array} [keys] - Storage keys to check before writing
+   * @param {function} [check] - Called with the records of keys, returning whether to write
+   * @return {Promise<array, any>} - An error (or undefined) for each operation
+   */
+  writeEncrypted(encrypted, keys = [], check = () => true) {
+    const operations = encrypted.filter(operation => !operation.error);
+    if (operations.some(({ type }) => type === 'clear')) operations.push(this.getKeyCheckOperation());
+
+    const written = keys.length
+      ? this.backend.update(keys, records => (check(records) ? operations : []))
+      : this.backend.write(operations);
+    return written.then(errors => {
+      let index = 0;
+      return encrypted.map(operation => operation.error || errors[index++]);
+    });
+  }
+
+  /**
+   * @return {object} - Operation storing the id of the current key
+   */
+  getKeyCheckOperation() {
+    return { type: 'put', key: KEY_CHECK_KEY, value: { id: this.cryptoKeys[0].id } };
+  }
+
+  /**
+   * @param {any} key
+   * @param {object} [cryptoKey] - Defaults to the current key
+   * @return {Promise<any, any>} - Key to store the record under
+   */
+  getStorageKey(key, cryptoKey = this.cryptoKeys[0]) {
+    if (!this.hashKeyNames) return Promise.resolve(key);
+    return crypto.subtle
+      .sign('HMAC', cryptoKey.nameKey, encodeText(JSON.stringify(key)))
+      .then(signature => toHex(signature));
+  }
+
+  /**
+   * @param {string} id
+   * @return {object|undefined}
+   */
+  findCryptoKey(id) {
+    return this.cryptoKeys.find(cryptoKey => cryptoKey.id === id);
+  }
+
+  /**
+   * @param {any} record
+   * @return {Promise<any, any>} - Decrypted value, or record itself if it isn't encrypted
+   */
+  decrypt(record) {
+    if (!isEncrypted(record)) return Promise.resolve(record);
+    return this.decryptBytes(record[ENCRYPTED_KEY], record).then(bytes => decode(new TextDecoder().decode(bytes)));
+  }
+
+  /**
+   * @param {string} id - Id of the key that encrypted data
+   * @param {object} encrypted - { iv: {Uint8Array}, data: {ArrayBuffer} }
+   * @return {Promise<ArrayBuffer, any>}
+   */
+  decryptBytes(id, { iv, data }) {
+    const cryptoKey = this.findCryptoKey(id);
+    if (!cryptoKey) return Promise.reject(createKeyError());
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, cryptoKey.encryptionKey, data);
+  }
+
+  /**
+   * Whether key material can be used as a key (or one of previousKeys)
+   * @param {any} key
+   * @return {boolean}
+   */
+  static isValidKey(key) {
+    return (
+      key instanceof ArrayBuffer ||
+      ArrayBuffer.isView(key) ||
+      (typeof CryptoKey !== 'undefined' && key instanceof CryptoKey)
+    );
+  }
+}
+
+/**
+ * Derive keys for encrypting values and hashing key names, and an id identifying them, from key material
+ * @param {BufferSource|CryptoKey} key
+ * @return {Promise<object, any>} - { id: {string}, encryptionKey: {CryptoKey}, nameKey: {CryptoKey} }
+ */
+function deriveKeys(key) {
+  const baseKey =
+    typeof CryptoKey !== 'undefined' && key instanceof CryptoKey
+      ? Promise.resolve(key)
+      : crypto.subtle.importKey('raw', key, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  const getParams = info => ({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encodeText(info) });
+
+  return baseKey.then(baseKey =>
+    Promise.all([
+      crypto.subtle.deriveBits(getParams('idb-fallback key id'), baseKey, 64),
+      crypto.subtle.deriveKey(getParams('idb-fallback values'), baseKey, { name: 'AES-GCM', length: 256 }, false, [
+        'encrypt',
+        'decrypt',
+      ]),
+      crypto.subtle.deriveKey(getParams('idb-fallback key names'), baseKey, { name: 'HMAC', hash: 'SHA-256' }, false, [
+        'sign',
+      ]),
+    ]).then(([id, encryptionKey, nameKey]) => ({ id: toHex(id), encryptionKey, nameKey }))
+  );
+}
+
+/**
+ * @param {object} operation - { type, key, value }
+ * @param {object} cryptoKey - Derived keys to encrypt with
+ * @param {EncryptedBackend} backend - Hashes key names
+ * @return {Promise<object, any>} - Operation to write, or rejects if the value can't be stored
+ */
+function encryptOperation(operation, cryptoKey, backend) {
+  if (operation.type === 'clear') return Promise.resolve(operation);
+
+  const storageKey = backend.getStorageKey(operation.key, cryptoKey);
+  if (operation.type === 'delete') return storageKey.then(key => ({ type: 'delete', key }));
+
+  assertCloneable(operation.value);
+  return Promise.all([
+    storageKey,
+    encode(operation.value).then(text => encryptBytes(cryptoKey, encodeText(text))),
+    backend.hashKeyNames ? encryptBytes(cryptoKey, encodeText(JSON.stringify(operation.key))) : undefined,
+  ]).then(([key, { iv, data }, name]) => {
+    const value = { [ENCRYPTED_KEY]: cryptoKey.id, iv, data };
+    if (name) value.name = name;
+    return { type: 'put', key, value };
+  });
+}
+
+/**
+ * @param {object} cryptoKey
+ * @param {Uint8Array} bytes
+ * @return {Promise<object, any>} - { iv: {Uint8Array}, data: {ArrayBuffer} }
+ */
+function encryptBytes(cryptoKey, bytes) {
+  // Never reused, so it also identifies each version of a record
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey.encryptionKey, bytes).then(data => ({ iv, data }));
+}
+
+/**
+ * Throw a DataCloneError for values IndexedDB would reject, which can't be encoded either
+ * @param {any} value
+ */
+function assertCloneable(value) {
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    const error = new Error(`${String(value)} could not be cloned`);
+    error.name = 'DataCloneError';
+    throw error;
+  }
+  if (Array.isArray(value)) {
+    value.forEach(assertCloneable);
+  } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    Object.keys(value).forEach(key => assertCloneable(value[key]));
+  }
+}
+
+/**
+ * @param {any} storageKey
+ * @return {boolean} - Whether it's the key of a record, rather than of the key check
+ */
+function isRecordKey(storageKey) {
+  return storageKey !== KEY_CHECK_KEY;
+}
+
+/**
+ * @param {any} record
+ * @return {boolean}
+ */
+function isEncrypted(record) {
+  return Boolean(record && typeof record[ENCRYPTED_KEY] === 'string');
+}
+
+/**
+ * Whether two records are the same version of a record (each encryption uses a new iv)
+ * Records written by EncryptedBackend are always encrypted, so an unencrypted record can only be replaced by an
+ * encrypted one (or deleted).
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean}
+ */
+function isSameRecord(a, b) {
+  if (!isEncrypted(a) || !isEncrypted(b))
+    return isEncrypted(a) === isEncrypted(b) && (a === undefined) === (b === undefined);
+  return a.iv.length === b.iv.length && a.iv.every((byte, index) => byte === b.iv[index]);
+}
+
+/**
+ * @param {string} text
+ * @return {Uint8Array}
+ */
+function encodeText(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @return {string}
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * @return {Error}
+ */
+function createKeyError() {
+  const error = new Error('Records were encrypted with another key');
+  error.name = 'EncryptionKeyError';
+  return error;
+}
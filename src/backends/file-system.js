@@ -0,0 +1,80 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import MemoryBackend from './memory';
+import { encode, decode } from '../serialize';
+
+/**
+ * Storage backend that persists each object store to a JSON file, for running IdbFallback in Node (e.g. during
+ * server-side rendering). Records are kept in memory, and the file is rewritten after every write.
+ * Values are encoded with serialize.js, so Blobs, ArrayBuffers and Dates survive.
+ * Built separately (dist/file-system-backend.cjs.js), since browser bundles can't include fs:
+ *    const FileSystemBackend = require('idb-fallback/dist/file-system-backend.cjs.js');
+ *    const store = new IdbFallback({
+ *      backend: (databaseName, objectStoreName) => new FileSystemBackend(databaseName, objectStoreName, { directory }),
+ *    });
+ */
+export default class FileSystemBackend extends MemoryBackend {
+  /**
+   * @param {string} databaseName
+   * @param {string} objectStoreName
+   * @param {string} [directory] - Where to store databases, one sub-directory per database
+   */
+  constructor(databaseName, objectStoreName, { directory = '.idb-fallback' } = {}) {
+    super(databaseName, objectStoreName, new Map());
+
+    this.file = path.join(directory, encodeURIComponent(databaseName), `${encodeURIComponent(objectStoreName)}.json`);
+
+    // Rejects if the file exists but can't be read
+    this.ready = fs.readFile(this.file, 'utf8').then(
+      text => decode(text).forEach(([key, value]) => this.records.set(key, value)),
+      error => {
+        if (error.code !== 'ENOENT') return Promise.reject(error);
+      }
+    );
+
+    // Writes are applied one at a time, so each one's file contents are complete
+    this.writing = this.ready.catch(() => {});
+  }
+
+  write(operations) {
+    return this.persist(() => super.write(operations));
+  }
+
+  update(keys, callback) {
+    return this.persist(() => super.update(keys, callback));
+  }
+
+  /**
+   * Apply a change in memory and save it to the file, undoing it if the file can't be written
+   * @param {function} change - Returns a Promise of errors of individual operations
+   * @return {Promise<array, any>}
+   */
+  persist(change) {
+    const written = this.writing.then(() => {
+      const previousRecords = new Map(this.records);
+      return change().then(errors =>
+        this.save().then(
+          () => errors,
+          error => {
+            this.records = previousRecords;
+            return Promise.reject(error);
+          }
+        )
+      );
+    });
+    this.writing = written.catch(() => {});
+    return written;
+  }
+
+  /**
+   * Replace the file with the current records, writing to a temporary file first so it's never left incomplete
+   * @return {Promise<undefined, any>}
+   */
+  save() {
+    const temporaryFile = `${this.file}.tmp`;
+    return encode(Array.from(this.records.entries()))
+      .then(text => fs.mkdir(path.dirname(this.file), { recursive: true }).then(() => text))
+      .then(text => fs.writeFile(temporaryFile, text))
+      .then(() => fs.rename(temporaryFile, this.file));
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * idb-keyval
+ * A tiny promise-based key-value store implemented with IndexedDB
+ * https://github.com/jakearchibald/idb-keyval
+ *
+ */
+import { keys } from 'idb-keyval';
+
+// Connections shared by every object store in the same database
+// { [databaseName]: { storeNames: {array}, dbp: {Promise<IDBDatabase>|null}, users: {number},
+//                     upgradeError: {Error|null} (while upgrading it to add object stores is blocked) } }
+const connections = {};
+
+/**
+ * Storage backend for an IndexedDB object store, accessed with idb-keyval
+ * Object stores in the same database share a connection, and the database is upgraded to add any that are missing
+ *
+ * Every backend exposes the same interface, so IdbFallback can run wherever one is available:
+ *    ready {Promise} - Resolves once the store can be used, or rejects if it can't be opened
+ *    getMany(keys) {Promise<array>} - Values (or undefined), in the same order as keys
+ *    keys([query]) {Promise<array>} - In order, optionally only those within a range, up to a limit:
+ *                                     { lower, upper, lowerOpen, upperOpen, limit } (all optional)
+ *    entries([query]) {Promise<array>} - [key, value] pairs, like keys()
+ *    write(operations) {Promise<array>} - Applies { type: 'put', key, value }, { type: 'delete', key } and
+ *                                         { type: 'clear' } operations in a single transaction, resolving with an
+ *                                         error (or undefined) for each operation, or rejecting if none were applied
+ *    update(keys, callback) {Promise<array>} - Reads keys and writes the operations returned by callback(values) in
+ *                                              a single transaction, so nothing can change in between. Resolves like
+ *                                              write(), or rejects with the error thrown by callback.
+ */
+export default class IndexedDBBackend {
+  /**
+   * @param {string} databaseName
+   * @param {string} objectStoreName
+   */
+  constructor(databaseName, objectStoreName) {
+    this.store = new SharedStore(databaseName, objectStoreName);
+    connections[databaseName] = connections[databaseName] || { storeNames: [], dbp: null, users: 0 };
+    connections[databaseName].users++;
+
+    // Resolves if IndexedDB.open worked, or rejects if it didn't
+    this.ready = this.store._dbp;
+  }
+
+  getMany(keys) {
+    const requests = [];
+    return this.store
+      ._withIDBStore('readonly', store => {
+        keys.forEach(key => requests.push(store.get(key)));
+      })
+      .then(() => requests.map(request => request.result));
+  }
+
+  keys(query) {
+    if (!query) return keys(this.store);
+    return this.readRange(query, true);
+  }
+
+  entries(query = {}) {
+    return this.readRange(query, false);
+  }
+
+  /**
+   * Read keys (or entries) in order with a cursor
+   * @param {object} query - { lower, upper, lowerOpen, upperOpen, limit }
+   * @param {boolean} keysOnly
+   * @return {Promise<array, any>}
+   */
+  readRange({ limit = Infinity, ...bounds }, keysOnly) {
+    const results = [];
+    return this.store
+      ._withIDBStore('readonly', store => {
+        const range = toKeyRange(bounds);
+        const request = keysOnly && store.openKeyCursor ? store.openKeyCursor(range) : store.openCursor(range);
+        request.onsuccess = function() {
+          if (!this.result || results.length >= limit) return;
+          results.push(keysOnly ? this.result.key : [this.result.key, this.result.value]);
+          this.result.continue();
+        };
+      })
+      .then(() => results);
+  }
+
+  write(operations) {
+    let errors;
+    return this.store
+      ._withIDBStore('readwrite', store => {
+        errors = applyOperations(store, operations);
+      })
+      .then(() => errors);
+  }
+
+  update(keys, callback) {
+    let errors, callbackError;
+    return this.store
+      ._withIDBStore('readwrite', store => {
+        const requests = keys.map(key => store.get(key));
+        // Requests succeed in order, so every value has been read once the last one succeeds
+        requests[requests.length - 1].onsuccess = () => {
+          try {
+            errors = applyOperations(store, callback(requests.map(request => request.result)));
+          } catch (error) {
+            callbackError = error;
+            store.transaction.abort();
+          }
+        };
+      })
+      .then(
+        () => errors,
+        error => Promise.reject(callbackError || error)
+      );
+  }
+
+  /**
+   * Close the database once every object store sharing its connection is closed
+   */
+  close() {
+    // Only give up this backend's share of the connection once
+    if (this.isClosed) return Promise.resolve();
+    this.isClosed = true;
+    const connection = connections[this.store.databaseName];
+    if (--connection.users > 0) return Promise.resolve();
+    delete connections[this.store.databaseName];
+    return connection.dbp
+      ? connection.dbp.then(
+          db => db.close(),
+          () => {}
+        )
+      : Promise.resolve();
+  }
+}
+
+/**
+ * Object store with the same interface as idb-keyval's Store, so idb-keyval's functions accept it,
+ * but using the shared connection to its database
+ */
+class SharedStore {
+  constructor(databaseName, storeName) {
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+  }
+
+  get _dbp() {
+    return connect(this.databaseName, this.storeName);
+  }
+
+  _withIDBStore(type, callback, isRetry = false) {
+    return this._dbp.then(db => {
+      let transaction;
+      try {
+        transaction = db.transaction(this.storeName, type);
+      } catch (error) {
+        // Connection was closed (e.g. to upgrade the database) since it was opened, so use the new one
+        if (error.name === 'InvalidStateError' && !isRetry) return this._withIDBStore(type, callback, true);
+        return Promise.reject(error);
+      }
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = transaction.onerror = () => reject(transaction.error);
+        callback(transaction.objectStore(this.storeName));
+      });
+    });
+  }
+}
+
+/**
+ * Get the database's open connection, opening it (or upgrading it, if the object store doesn't exist yet) as needed
+ * Object stores requested before the database finishes opening are all created by the same upgrade. If the upgrade
+ * is blocked, the database is opened as it is, so the object stores it has can still be used, and only those it
+ * doesn't have reject with the UpgradeBlockedError, until the upgrade goes ahead.
+ * @param {string} databaseName
+ * @param {string} storeName
+ * @return {Promise<IDBDatabase, any>}
+ */
+function connect(databaseName, storeName) {
+  const connection = connections[databaseName] || { storeNames: [], dbp: null, users: 0 };
+  connections[databaseName] = connection;
+  if (!connection.storeNames.includes(storeName)) connection.storeNames.push(storeName);
+
+  if (!connection.dbp) openConnection(connection, databaseName);
+  const dbp = connection.dbp;
+  return dbp.then(db => {
+    if (db.objectStoreNames.contains(storeName)) return db;
+    // Replaced in the meantime (e.g. by an upgrade adding another object store)
+    if (connection.dbp !== dbp) return connect(databaseName, storeName);
+    if (connection.upgradeError) return Promise.reject(connection.upgradeError);
+    // Added after the database was opened, so upgrade it (which closes this connection, see handleVersionChange())
+    openConnection(connection, databaseName, db.version + 1);
+    return connect(databaseName, storeName);
+  });
+}
+
+/**
+ * Open (or upgrade) the database as the connection shared by its object stores
+ * @param {object} connection - See connections
+ * @param {string} databaseName
+ * @param {number} [version] - Defaults to the current version
+ */
+function openConnection(connection, databaseName, version) {
+  const upgraded = openDatabase(databaseName, connection.storeNames, version, db => {
+    // The blocked upgrade went ahead once the connections blocking it were closed
+    connection.upgradeError = null;
+    if (!db) return;
+    if (connections[databaseName] !== connection) return db.close();
+    const previous = connection.dbp;
+    connection.dbp = Promise.resolve(db);
+    handleVersionChange(connection, connection.dbp, db);
+    if (previous)
+      previous.then(
+        db => db.close(),
+        () => {}
+      );
+  });
+  const dbp = upgraded.catch(error => {
+    if (error.name !== 'UpgradeBlockedError') return Promise.reject(error);
+    connection.upgradeError = error;
+    return openDatabase(databaseName, []);
+  });
+  connection.dbp = dbp;
+  dbp.then(
+    db => handleVersionChange(connection, dbp, db),
+    () => {
+      // Try again next time (e.g. in retry())
+      if (connection.dbp === dbp) connection.dbp = null;
+    }
+  );
+}
+
+/**
+ * Let other tabs upgrade the database, and reconnect next time it's used
+ * @param {object} connection - See connections
+ * @param {Promise<IDBDatabase>} dbp
+ * @param {IDBDatabase} db
+ */
+function handleVersionChange(connection, dbp, db) {
+  db.onversionchange = () => {
+    db.close();
+    if (connection.dbp === dbp) connection.dbp = null;
+  };
+}
+
+/**
+ * Open a database, creating any object stores it doesn't have yet
+ * Upgrading it is blocked while other connections (e.g. tabs running an older release, which don't close their
+ * connection when asked to) stay open, in which case the request can't be cancelled, and every request to open the
+ * database waits for it, so it rejects with an UpgradeBlockedError instead of waiting, and onUnblocked is called
+ * with the upgraded database if it goes ahead later (or without it, if it fails).
+ * @param {string} databaseName
+ * @param {array} storeNames - May grow while the database is opening
+ * @param {number} [version] - Defaults to the current version
+ * @param {function} [onUnblocked] - Called with the database (if any) once the blocked upgrade goes ahead
+ * @return {Promise<IDBDatabase, any>}
+ */
+function openDatabase(databaseName, storeNames, version, onUnblocked = db => db && db.close()) {
+  let isBlocked = false;
+  return new Promise((resolve, reject) => {
+    const request = version ? indexedDB.open(databaseName, version) : indexedDB.open(databaseName);
+    request.onerror = () => (isBlocked ? onUnblocked() : reject(request.error));
+    request.onsuccess = () => {
+      if (!isBlocked) return resolve(request.result);
+      if (storeNames.every(name => request.result.objectStoreNames.contains(name))) return onUnblocked(request.result);
+      request.result.close();
+      onUnblocked();
+    };
+    request.onblocked = () => {
+      isBlocked = true;
+      const error = new Error(`Upgrading ${databaseName} is blocked by connections that are still open`);
+      error.name = 'UpgradeBlockedError';
+      reject(error);
+    };
+    // First time setup, or upgrading to add object stores
+    request.onupgradeneeded = () => {
+      storeNames.forEach(name => {
+        if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+      });
+    };
+  }).then(db => {
+    if (storeNames.every(name => db.objectStoreNames.contains(name))) return db;
+    db.close();
+    return openDatabase(databaseName, storeNames, db.version + 1, onUnblocked);
+  });
+}
+
+/**
+ * Queue operations on an object store, as part of its transaction
+ * @param {IDBObjectStore} store
+ * @param {array} operations
+ * @return {array} - Errors of individual operations, filled in as they fail
+ */
+function applyOperations(store, operations) {
+  const errors = operations.map(() => undefined);
+  operations.forEach((operation, index) => {
+    try {
+      const request =
+        operation.type === 'put'
+          ? store.put(operation.value, operation.key)
+          : operation.type === 'delete'
+          ? store.delete(operation.key)
+          : store.clear();
+      // Don't let one failed operation (e.g. DataCloneError) abort the transaction
+      request.onerror = event => {
+        event.preventDefault();
+        event.stopPropagation();
+        errors[index] = event.target.error;
+      };
+    } catch (error) {
+      errors[index] = error;
+    }
+  });
+  return errors;
+}
+
+/**
+ * @param {object} bounds - { lower, upper, lowerOpen, upperOpen }
+ * @return {IDBKeyRange|undefined} - Undefined if unbounded
+ */
+function toKeyRange({ lower, upper, lowerOpen = false, upperOpen = false }) {
+  if (lower !== undefined && upper !== undefined) return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+  if (lower !== undefined) return IDBKeyRange.lowerBound(lower, lowerOpen);
+  if (upper !== undefined) return IDBKeyRange.upperBound(upper, upperOpen);
+}
@@ -0,0 +1,168 @@
+// Records of every memory-backed object store, shared by instances in the same context like IndexedDB
+const databases = new Map();
+
+/**
+ * Storage backend that keeps records in memory, for running IdbFallback in Node and tests
+ * Implements the same interface as IndexedDBBackend. Values are structured-cloned (where supported), so
+ * values IndexedDB would reject (e.g. functions) fail the same way. Keys must be strings or numbers.
+ */
+export default class MemoryBackend {
+  /**
+   * @param {string} databaseName
+   * @param {string} objectStoreName
+   * @param {Map} [records] - Defaults to the records shared by every instance with the same names
+   */
+  constructor(databaseName, objectStoreName, records = getSharedRecords(databaseName, objectStoreName)) {
+    this.records = records;
+    this.ready = Promise.resolve();
+  }
+
+  getMany(keys) {
+    return this.ready.then(() => keys.map(key => clone(this.records.get(key))));
+  }
+
+  keys({ limit = Infinity, ...bounds } = {}) {
+    return this.ready.then(() =>
+      Array.from(this.records.keys())
+        .filter(key => isInRange(key, bounds))
+        .sort(compareKeys)
+        .slice(0, limit)
+    );
+  }
+
+  entries(query) {
+    return this.keys(query).then(keys => keys.map(key => [key, clone(this.records.get(key))]));
+  }
+
+  write(operations) {
+    return this.ready.then(() => this.apply(operations));
+  }
+
+  update(keys, callback) {
+    // Nothing can run between reading and applying, since both are synchronous
+    return this.ready.then(() => this.apply(callback(keys.map(key => clone(this.records.get(key))))));
+  }
+
+  /**
+   * Apply operations to records immediately
+   * @param {array} operations
+   * @return {array} - Errors of individual operations
+   */
+  apply(operations) {
+    return operations.map(operation => {
+      try {
+        if (operation.type === 'put') {
+          if (!isValidKey(operation.key)) throw createError('DataError', 'Keys must be strings or numbers');
+          this.records.set(operation.key, clone(operation.value));
+        } else if (operation.type === 'delete') {
+          this.records.delete(operation.key);
+        } else {
+          this.records.clear();
+        }
+      } catch (error) {
+        return error;
+      }
+    });
+  }
+}
+
+/**
+ * @param {string} databaseName
+ * @param {string} objectStoreName
+ * @return {Map}
+ */
+function getSharedRecords(databaseName, objectStoreName) {
+  const name = JSON.stringify([databaseName, objectStoreName]);
+  if (!databases.has(name)) databases.set(name, new Map());
+  return databases.get(name);
+}
+
+/**
+ * Copy a value like IndexedDB would, throwing a DataCloneError if it can't be copied
+ * @param {any} value
+ * @return {any}
+ */
+function clone(value) {
+  return typeof structuredClone === 'function' && value !== undefined ? structuredClone(value) : value;
+}
+
+/**
+ * @param {any} key
+ * @return {boolean}
+ */
+function isValidKey(key) {
+  return typeof key === 'string' || (typeof key === 'number' && !isNaN(key));
+}
+
+/**
+ * Sort keys like IndexedDB: numbers before strings
+ * @param {string|number} a
+ * @param {string|number} b
+ * @return {number}
+ */
+export function compareKeys(a, b) {
+  if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Whether a key is within a range, like IDBKeyRange.includes()
+ * @param {string|number} key
+ * @param {object} bounds - { lower, upper, lowerOpen, upperOpen }, all optional
+ * @return {boolean}
+ */
+export function isInRange(key, { lower, upper, lowerOpen = false, upperOpen = false }) {
+  if (lower !== undefined) {
+    const order = compareKeys(key, lower);
+    if (order < 0 || (order === 0 && lowerOpen)) return false;
+  }
+  if (upper !== undefined) {
+    const order = compareKeys(key, upper);
+    if (order > 0 || (order === 0 && upperOpen)) return false;
+  }
+  return true;
+}
+
+/**
+ * Read keys (or entries) within a range, in order, up to a limit of those a backend layer doesn't hide (e.g. chunk
+ * records), reading on from the last key until the limit is reached, so hidden keys don't cut a batch short
+ * @param {function} read - Called with a query, e.g. backend.keys()
+ * @param {object} [query] - { lower, upper, lowerOpen, upperOpen, limit }, all optional
+ * @param {function} isVisible - Called with each key
+ * @param {function} [getKey] - Called with each result, e.g. an entry, to get its key
+ * @return {Promise<array, any>} - Every result read (visible or not), up to the last visible one within the limit
+ */
+export function readVisible(read, query = {}, isVisible, getKey = key => key) {
+  const { limit = Infinity, ...bounds } = query;
+  if (limit === Infinity || limit === 0) return read(query);
+
+  const results = [];
+  let count = 0;
+  const readFrom = rangeQuery => {
+    const batchLimit = limit - count;
+    return read({ ...rangeQuery, limit: batchLimit }).then(batch => {
+      for (const result of batch) {
+        results.push(result);
+        if (isVisible(getKey(result)) && ++count === limit) return results;
+      }
+      // Nothing left to read (IndexedDB throws if asked to read from an empty range)
+      const lastKey = batch.length && getKey(batch[batch.length - 1]);
+      if (batch.length < batchLimit || (bounds.upper !== undefined && compareKeys(lastKey, bounds.upper) >= 0)) {
+        return results;
+      }
+      return readFrom({ ...bounds, lower: lastKey, lowerOpen: true });
+    });
+  };
+  return readFrom(bounds);
+}
+
+/**
+ * @param {string} name
+ * @param {string} message
+ * @return {Error} - Named like the DOMException IndexedDB would throw
+ */
+function createError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
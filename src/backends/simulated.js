@@ -0,0 +1,172 @@
+import sizeOf from '../size-of';
+
+// Names of the errors browsers fail to open IndexedDB with, by the code IdbFallback disables it with
+const OPEN_ERRORS = {
+  backend_unavailable: 'ReferenceError',
+  open_failed: 'AbortError',
+  quota_exceeded: 'QuotaExceededError',
+  wrong_encryption_key: 'EncryptionKeyError',
+  firefox_private_browsing: 'InvalidStateError',
+  firefox_esr_user_profile_corrupted: 'UnknownError',
+  edge_private_browsing: 'ReferenceError',
+  webkit_private_browsing: 'SecurityError',
+};
+
+// Codes that depend on the browser they occur in, so errors simulating them carry the code (see handleBrowserError())
+const BROWSER_CODES = [
+  'firefox_private_browsing',
+  'firefox_esr_user_profile_corrupted',
+  'edge_private_browsing',
+  'webkit_private_browsing',
+];
+
+/**
+ * Storage backend that injects failures into another backend, so tests can drive IdbFallback's fallback paths
+ * without breaking the browser (see the simulate option). Failing to open throws from the constructor (for
+ * 'backend_unavailable') or rejects ready with an error like the browser's. Writes that would take the approximate
+ * size of every record past quotaExceededAfterBytes reject with a QuotaExceededError, writing nothing, like an
+ * aborted transaction, and values put under failKeys fail individually with a DataCloneError, like values
+ * IndexedDB can't store.
+ */
+export default class SimulatedBackend {
+  /**
+   * @param {object} backend - Backend storing records, e.g. an IndexedDBBackend
+   * @param {string} [openFailure] - Code of the 'disabled' event to fail opening with, one of OPEN_FAILURES
+   * @param {number} [quotaExceededAfterBytes] - Approximate size of every record writes can't take it past
+   * @param {array} [failKeys] - Keys values can't be put under
+   */
+  constructor(backend, { openFailure, quotaExceededAfterBytes = Infinity, failKeys = [] } = {}) {
+    this.backend = backend;
+    this.quotaExceededAfterBytes = quotaExceededAfterBytes;
+    this.failKeys = new Set(failKeys);
+
+    // Approximate size of each record, by key, measured once ready if writes are limited
+    this.sizes = new Map();
+
+    if (openFailure) {
+      if (backend.close) backend.close();
+      const error = createOpenError(openFailure);
+      if (openFailure === 'backend_unavailable') throw error;
+      this.ready = Promise.reject(error);
+    } else if (quotaExceededAfterBytes === Infinity) {
+      this.ready = backend.ready;
+    } else {
+      this.ready = backend.ready
+        .then(() => backend.entries())
+        .then(entries => {
+          entries.forEach(([key, value]) => this.sizes.set(key, sizeOf(value)));
+        });
+    }
+  }
+
+  getMany(keys) {
+    return this.backend.getMany(keys);
+  }
+
+  keys(query) {
+    return this.backend.keys(query);
+  }
+
+  entries(query) {
+    return this.backend.entries(query);
+  }
+
+  write(operations) {
+    if (this.isOverQuota(operations)) return Promise.reject(createQuotaError());
+    return this.backend
+      .write(operations.filter(operation => !this.isFailKey(operation)))
+      .then(errors => this.collectErrors(operations, errors));
+  }
+
+  update(keys, callback) {
+    let operations = [];
+    let isOverQuota = false;
+    return this.backend
+      .update(keys, records => {
+        operations = callback(records);
+        isOverQuota = this.isOverQuota(operations);
+        return isOverQuota ? [] : operations.filter(operation => !this.isFailKey(operation));
+      })
+      .then(errors => (isOverQuota ? Promise.reject(createQuotaError()) : this.collectErrors(operations, errors)));
+  }
+
+  close() {
+    return this.backend.close && this.backend.close();
+  }
+
+  /**
+   * Add errors for puts under failKeys, which weren't written, and keep track of the size of records written
+   * @param {array} operations
+   * @param {array} errors - Errors of the other operations
+   * @return {array} - Errors of every operation
+   */
+  collectErrors(operations, errors) {
+    let index = 0;
+    return operations.map(operation => {
+      if (this.isFailKey(operation)) {
+        return createError('DataCloneError', `Failed to store ${operation.key} (simulated)`);
+      }
+      const error = errors[index++];
+      if (error) return error;
+      if (operation.type === 'clear') this.sizes.clear();
+      else if (operation.type === 'delete') this.sizes.delete(operation.key);
+      else if (this.quotaExceededAfterBytes !== Infinity) this.sizes.set(operation.key, sizeOf(operation.value));
+    });
+  }
+
+  /**
+   * @param {object} operation
+   * @return {boolean} - Whether it's a put under one of failKeys
+   */
+  isFailKey(operation) {
+    return operation.type === 'put' && this.failKeys.has(operation.key);
+  }
+
+  /**
+   * @param {array} operations
+   * @return {boolean} - Whether writing operations would take the approximate size of every record past the quota
+   */
+  isOverQuota(operations) {
+    if (this.quotaExceededAfterBytes === Infinity) return false;
+    const sizes = new Map(this.sizes);
+    operations.forEach(operation => {
+      if (operation.type === 'clear') sizes.clear();
+      else if (operation.type === 'delete') sizes.delete(operation.key);
+      else if (!this.isFailKey(operation)) sizes.set(operation.key, sizeOf(operation.value));
+    });
+    let bytes = 0;
+    sizes.forEach(size => (bytes += size));
+    return bytes > this.quotaExceededAfterBytes;
+  }
+}
+
+// Codes openFailure can be set to
+SimulatedBackend.OPEN_FAILURES = Object.keys(OPEN_ERRORS);
+
+/**
+ * @param {string} code - One of OPEN_FAILURES
+ * @return {Error} - Named like the error the browser fails to open IndexedDB with
+ */
+function createOpenError(code) {
+  const error = createError(OPEN_ERRORS[code], `Failed to open database (simulated ${code})`);
+  if (BROWSER_CODES.includes(code)) error.simulatedCode = code;
+  return error;
+}
+
+/**
+ * @return {Error} - Named like the DOMException thrown when the browser's storage quota is exceeded
+ */
+function createQuotaError() {
+  return createError('QuotaExceededError', 'Quota exceeded (simulated)');
+}
+
+/**
+ * @param {string} name
+ * @param {string} message
+ * @return {Error}
+ */
+function createError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
@@ -0,0 +1,67 @@
+/**
+ * Broadcasts key changes to other tabs (and other instances in the same tab) sharing an object store
+ * Uses BroadcastChannel where available, which can carry any structured-cloneable value (e.g. Blobs).
+ * Falls back to "storage" events on a LocalStorage key, which only carry the change type and key,
+ * so receivers must look up new values themselves.
+ *
+ * @param {string} name - Channel name / LocalStorage key shared by all instances
+ * @param {function} onMessage - Called with each change posted by another instance
+ * @return {object} - { post: {function}, close: {function} }
+ */
+export default function openChangeChannel(name, onMessage) {
+  // Changes made after closing (e.g. by operations that were still running) aren't posted
+  let isClosed = false;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = event => onMessage(event.data);
+    // Don't keep Node processes alive just to listen for changes
+    if (channel.unref) channel.unref();
+    return {
+      post: message => {
+        if (isClosed) return;
+        try {
+          channel.postMessage(message);
+        } catch (error) {
+          // Value can't be cloned (e.g. contains a function). Let receivers look it up instead.
+          channel.postMessage({ type: message.type, key: message.key });
+        }
+      },
+      close: () => {
+        isClosed = true;
+        channel.close();
+      },
+    };
+  }
+
+  if (typeof window === 'undefined' || typeof localStorage === 'undefined') {
+    return { post: () => {}, close: () => {} };
+  }
+
+  function handleStorage(event) {
+    if (event.key !== name || !event.newValue) return;
+    try {
+      const { type, key } = JSON.parse(event.newValue);
+      onMessage({ type, key });
+    } catch (error) {
+      // Not a change message
+    }
+  }
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post: ({ type, key }) => {
+      if (isClosed) return;
+      try {
+        // Include a nonce so repeated changes to the same key still trigger "storage" events
+        localStorage.setItem(name, JSON.stringify({ type, key, nonce: Math.random() }));
+      } catch (error) {
+        // Other tabs won't be notified
+      }
+    },
+    close: () => {
+      isClosed = true;
+      window.removeEventListener('storage', handleStorage);
+    },
+  };
+}
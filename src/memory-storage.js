@@ -0,0 +1,34 @@
+/**
+ * In-memory stand-in for LocalStorage / SessionStorage (the parts of the Storage interface IdbFallback uses),
+ * for running in Node and tests, or anywhere Web Storage is unavailable
+ */
+export default class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    const keys = Array.from(this.items.keys());
+    return index < keys.length ? keys[index] : null;
+  }
+
+  getItem(key) {
+    return this.items.has(String(key)) ? this.items.get(String(key)) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(String(key), String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(String(key));
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
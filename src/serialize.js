@@ -0,0 +1,143 @@
+/**
+ * Encode values as JSON strings, preserving types that JSON can't represent
+ * Blobs, Files, ArrayBuffers and typed arrays are base64-encoded, and Dates keep their timestamp
+ */
+
+const TYPE_KEY = '__idbFallbackType';
+
+const TYPED_ARRAYS = [
+  'Int8Array',
+  'Uint8Array',
+  'Uint8ClampedArray',
+  'Int16Array',
+  'Uint16Array',
+  'Int32Array',
+  'Uint32Array',
+  'Float32Array',
+  'Float64Array',
+  'DataView',
+];
+
+/**
+ * @param {any} value
+ * @return {Promise<string, any>}
+ */
+export function encode(value) {
+  return toJSONValue(value).then(jsonValue => JSON.stringify(jsonValue));
+}
+
+/**
+ * @param {string} text - Created by encode()
+ * @return {any}
+ */
+export function decode(text) {
+  return JSON.parse(text, (key, value) => (value && typeof value[TYPE_KEY] === 'string' ? fromTagged(value) : value));
+}
+
+/**
+ * Replace values JSON can't represent with tagged objects
+ * @param {any} value
+ * @return {Promise<any, any>}
+ */
+export function toJSONValue(value) {
+  if (value instanceof Date) {
+    return Promise.resolve({ [TYPE_KEY]: 'Date', time: value.getTime() });
+  }
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    return readBlob(value).then(buffer => {
+      const tagged = { [TYPE_KEY]: 'Blob', type: value.type, data: toBase64(buffer) };
+      if (typeof File !== 'undefined' && value instanceof File) {
+        return { ...tagged, [TYPE_KEY]: 'File', name: value.name, lastModified: value.lastModified };
+      }
+      return tagged;
+    });
+  }
+  if (value instanceof ArrayBuffer) {
+    return Promise.resolve({ [TYPE_KEY]: 'ArrayBuffer', data: toBase64(value) });
+  }
+  if (ArrayBuffer.isView(value) && TYPED_ARRAYS.includes(value.constructor.name)) {
+    const buffer = value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+    return Promise.resolve({ [TYPE_KEY]: value.constructor.name, data: toBase64(buffer) });
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(toJSONValue));
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    return Promise.all(keys.map(key => toJSONValue(value[key]))).then(values =>
+      keys.reduce((obj, key, index) => {
+        obj[key] = values[index];
+        return obj;
+      }, {})
+    );
+  }
+  return Promise.resolve(value);
+}
+
+/**
+ * Restore a value tagged by toJSONValue()
+ * @param {object} tagged
+ * @return {any}
+ */
+export function fromTagged(tagged) {
+  switch (tagged[TYPE_KEY]) {
+    case 'Date':
+      return new Date(tagged.time);
+    case 'Blob':
+      return new Blob([fromBase64(tagged.data)], { type: tagged.type });
+    case 'File':
+      return new File([fromBase64(tagged.data)], tagged.name, {
+        type: tagged.type,
+        lastModified: tagged.lastModified,
+      });
+    case 'ArrayBuffer':
+      return fromBase64(tagged.data);
+    default:
+      if (TYPED_ARRAYS.includes(tagged[TYPE_KEY])) {
+        const TypedArray = globalThis[tagged[TYPE_KEY]];
+        return new TypedArray(fromBase64(tagged.data));
+      }
+      return tagged;
+  }
+}
+
+/**
+ * @param {Blob} blob
+ * @return {Promise<ArrayBuffer, any>}
+ */
+export function readBlob(blob) {
+  if (typeof blob.arrayBuffer === 'function') return blob.arrayBuffer();
+  return new Promise((resolve, reject) => {
+    const fileReader = new FileReader();
+    fileReader.onload = () => resolve(fileReader.result);
+    fileReader.onerror = () => reject(fileReader.error);
+    fileReader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @return {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  // Convert in chunks to stay within the maximum number of function arguments
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @return {ArrayBuffer}
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
@@ -0,0 +1,47 @@
+/**
+ * Approximate number of bytes a value takes up when stored
+ * Strings are counted as UTF-16, and Blobs by their size (without reading them)
+ * @param {any} value
+ * @param {Set} [seen] - Objects already counted, since stored values may contain cycles
+ * @return {number}
+ */
+export default function sizeOf(value, seen = new Set()) {
+  if (value === null || value === undefined) return 0;
+
+  switch (typeof value) {
+    case 'string':
+      return value.length * 2;
+    case 'number':
+      return 8;
+    case 'boolean':
+      return 4;
+    case 'object':
+      break;
+    default:
+      return 0;
+  }
+
+  if (seen.has(value)) return 0;
+  seen.add(value);
+
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+  if (value instanceof ArrayBuffer) return value.byteLength;
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+  if (value instanceof Date) return 8;
+  if (value instanceof Map) {
+    let bytes = 0;
+    value.forEach((item, key) => {
+      bytes += sizeOf(key, seen) + sizeOf(item, seen);
+    });
+    return bytes;
+  }
+  if (value instanceof Set) {
+    let bytes = 0;
+    value.forEach(item => {
+      bytes += sizeOf(item, seen);
+    });
+    return bytes;
+  }
+
+  return Object.keys(value).reduce((bytes, key) => bytes + key.length * 2 + sizeOf(value[key], seen), 0);
+}
@@ -0,0 +1,121 @@
+import { toJSONValue, decode, readBlob } from './serialize';
+
+const FORMAT = 'idb-fallback-snapshot';
+const FORMAT_VERSION = 1;
+
+/**
+ * Portable snapshots of a store, as newline-delimited JSON
+ * The first line is a header, { format, formatVersion, version, objectStoreName, exportedAt }, followed by one line
+ * per entry, { key, value, expiresAt }. Values are encoded with serialize.js, so Blobs, ArrayBuffers, Dates and
+ * nested objects survive, and each entry is encoded (and decoded) separately, so one large value is never
+ * combined with the others into a single string. Snapshots are written a batch of entries at a time, and read as
+ * they're streamed.
+ */
+
+/**
+ * @param {string} version - Schema version of the store
+ * @param {string} objectStoreName
+ * @param {function} readBatch - Resolves with the next batch of [key, value] pairs, or null once there are no more
+ * @param {object} expirations - Expiration timestamps, by key
+ * @return {Promise<Blob, any>} - Made of a Blob for each batch, so the browser can keep them out of memory
+ */
+export function createSnapshot(version, objectStoreName, readBatch, expirations) {
+  const header = { format: FORMAT, formatVersion: FORMAT_VERSION, version, objectStoreName, exportedAt: Date.now() };
+  const parts = [new Blob([`${JSON.stringify(header)}\n`])];
+
+  // Encode one entry at a time, so only one value is being encoded at once
+  const encodeBatch = entries =>
+    entries.reduce(
+      (promise, [key, value]) =>
+        promise.then(lines =>
+          toJSONValue(value).then(jsonValue => {
+            const expiresAt = expirations.hasOwnProperty(key) ? expirations[key] : undefined;
+            return lines.concat(`${JSON.stringify({ key, value: jsonValue, expiresAt })}\n`);
+          })
+        ),
+      Promise.resolve([])
+    );
+
+  const next = () =>
+    readBatch().then(entries => {
+      if (!entries) return new Blob(parts, { type: 'application/x-ndjson' });
+      return encodeBatch(entries).then(lines => {
+        parts.push(new Blob(lines));
+        return next();
+      });
+    });
+  return next();
+}
+
+/**
+ * @param {Blob|string} snapshot - Created by createSnapshot()
+ * @return {Promise<object, any>} - { header: {object}, entries: {array} } where entries are
+ *                                  { key, value, expiresAt } objects, or rejects if the snapshot is invalid
+ */
+export function readSnapshot(snapshot) {
+  let header;
+  const entries = [];
+  const readLine = line => {
+    if (!line) return;
+    if (header) return entries.push(decode(line));
+    header = readHeader(line);
+  };
+
+  return readLines(snapshot, readLine).then(() =>
+    header ? { header, entries } : Promise.reject(new Error('Invalid snapshot'))
+  );
+}
+
+/**
+ * @param {string} line - First line of a snapshot
+ * @return {object} - Header, or throws if it isn't a supported snapshot's
+ */
+function readHeader(line) {
+  let header;
+  try {
+    header = JSON.parse(line);
+  } catch (error) {
+    throw new Error('Invalid snapshot');
+  }
+  if (!header || header.format !== FORMAT) throw new Error('Invalid snapshot');
+  if (header.formatVersion > FORMAT_VERSION) {
+    throw new Error(`Unsupported snapshot formatVersion ${header.formatVersion}`);
+  }
+  return header;
+}
+
+/**
+ * Call a function with each line of a snapshot, decoding a Blob a chunk at a time as it's streamed, so its text is
+ * never read all at once
+ * @param {Blob|string} snapshot
+ * @param {function} readLine - Called with each line, and may throw to stop reading
+ * @return {Promise<undefined, any>}
+ */
+function readLines(snapshot, readLine) {
+  if (typeof snapshot === 'string') return Promise.resolve().then(() => snapshot.split('\n').forEach(readLine));
+  // Blobs without stream() (e.g. in older browsers)
+  if (!snapshot || typeof snapshot.stream !== 'function') {
+    return readBlob(snapshot).then(buffer =>
+      new TextDecoder()
+        .decode(buffer)
+        .split('\n')
+        .forEach(readLine)
+    );
+  }
+
+  const reader = snapshot.stream().getReader();
+  const decoder = new TextDecoder();
+  let partialLine = '';
+  const read = () =>
+    reader.read().then(({ done, value }) => {
+      const lines = (partialLine + decoder.decode(value, { stream: !done })).split('\n');
+      partialLine = done ? '' : lines.pop();
+      lines.forEach(readLine);
+      if (!done) return read();
+    });
+  return read().catch(error => {
+    // Stop reading the rest of the snapshot (which rejects if reading it failed)
+    reader.cancel().catch(() => {});
+    return Promise.reject(error);
+  });
+}
@@ -0,0 +1,516 @@
+// Milliseconds a new tab waits for the tab that owns the store to stop writing to it, before assuming it was closed
+// (or frozen) without handing over ownership
+const HANDOFF_TIMEOUT = 1000;
+
+// Milliseconds a new tab waits for the tab that owns the store to reply, before assuming no tab does
+const REPLY_TIMEOUT = 100;
+
+// Milliseconds between a demoted worker's checks for whether the lock is available
+const WORKER_POLL_INTERVAL = 1000;
+
+// Milliseconds between updates of a tab's entry in the LocalStorage queue of open tabs
+const HEARTBEAT_INTERVAL = 10000;
+
+// Milliseconds since a tab last updated its entry in the LocalStorage queue, after which it's assumed to have crashed
+// Browsers may only run timers in background tabs once a minute.
+const STALE_TAB_TIMEOUT = 3 * 60 * 1000;
+
+/**
+ * Single-writer coordination between tabs (and workers) sharing an IndexedDB store
+ * The most recently opened tab owns the store. Older tabs are demoted, and wait in line to be
+ * promoted again when the owner closes. A new tab only starts writing once the tab it takes ownership from
+ * has been demoted, and stopped writing. Workers don't take ownership from other tabs (or workers), so they only
+ * own the store while no page is open, and pages aren't left demoted when a worker is terminated without closing.
+ * Uses the Web Locks API where available, since locks are released even if a tab crashes,
+ * and falls back to messages on a BroadcastChannel, which workers can use too, or "storage" events
+ * on a LocalStorage key otherwise. Pages hidden in the back/forward cache give up ownership, and join the other tabs
+ * again if they're restored.
+ *
+ * @param {string} name - Lock name / LocalStorage key shared by all tabs
+ * @param {function} onDemote - Called when another tab takes ownership, returning a Promise that settles once this
+ *                              tab has stopped writing
+ * @param {function} onPromote - Called when this tab regains ownership after being demoted
+ * @param {function} [onRelease] - Called when the page is hidden, before this tab gives up ownership, returning a
+ *                                 Promise that settles once it has written values it was waiting to write (or
+ *                                 nothing, if there are none)
+ * @return {Promise<function>} - Resolves once this tab owns the store (or was demoted, if the owner takes too long
+ *                               to hand it over) with a function giving up ownership and to stop listening
+ */
+export default function coordinateTabs(name, { onDemote, onPromote, onRelease }) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return coordinateWithLocks(name, { onDemote, onPromote });
+  }
+  // Not running in a browser (e.g. in Node), so there are no other tabs
+  if (typeof window === 'undefined' && !isWorker()) return Promise.resolve(() => {});
+  if (typeof BroadcastChannel !== 'undefined') {
+    return coordinatePage(coordinateWithBroadcastChannel, name, { onDemote, onPromote, onRelease });
+  }
+  return coordinatePage(coordinateWithLocalStorage, name, { onDemote, onPromote, onRelease });
+}
+
+/**
+ * Give up ownership when the page is hidden. If it's kept in the back/forward cache (where it's frozen, so it can't
+ * reply to other tabs), it's demoted too, and joins the other tabs again as a newly opened tab if it's restored,
+ * being promoted once it owns the store.
+ * @param {function} coordinator - Returns { started: {Promise}, release: {function} } for a newly opened tab
+ * @param {string} name
+ * @param {object} callbacks - { onDemote, onPromote, onRelease }
+ * @return {Promise<function>} - See coordinateTabs()
+ */
+function coordinatePage(coordinator, name, { onDemote, onPromote, onRelease }) {
+  let isDemoted = false,
+    // Settles once this page stopped writing after it was hidden
+    hidden = Promise.resolve(),
+    tab,
+    resolveStarted;
+  const started = new Promise(resolve => (resolveStarted = resolve));
+
+  join();
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('pageshow', handlePageShow);
+  }
+
+  function join() {
+    let isStarting = true,
+      isDemotedOnStart = false;
+    const joined = coordinator(name, {
+      onDemote: () => {
+        if (isStarting) isDemotedOnStart = true;
+        return demote();
+      },
+      onPromote: promote,
+    });
+    tab = joined;
+    joined.started.then(() => {
+      isStarting = false;
+      // Restored from the back/forward cache, and owns the store again
+      if (tab === joined && !isDemotedOnStart) promote();
+      resolveStarted();
+    });
+  }
+
+  function demote() {
+    if (isDemoted) return Promise.resolve();
+    isDemoted = true;
+    return Promise.resolve(onDemote());
+  }
+
+  function promote() {
+    if (!isDemoted) return;
+    isDemoted = false;
+    onPromote();
+  }
+
+  function handlePageHide(event) {
+    if (!event.persisted) removeListeners();
+    // Values waiting to be written are written first, but ownership is given up right away if there are none, since
+    // the page may be gone (or frozen) before a Promise settles
+    const writing = onRelease && onRelease();
+    const released = writing
+      ? Promise.resolve(writing)
+          .catch(() => {})
+          .then(() => tab.release())
+      : tab.release();
+    if (event.persisted) hidden = Promise.all([released, demote().catch(() => {})]);
+  }
+
+  function handlePageShow(event) {
+    // Stays demoted if LocalStorage has become unavailable
+    if (event.persisted) hidden.then(join).catch(() => {});
+  }
+
+  function removeListeners() {
+    if (typeof window === 'undefined') return;
+    window.removeEventListener('pagehide', handlePageHide);
+    window.removeEventListener('pageshow', handlePageShow);
+  }
+
+  return started.then(() => () => {
+    removeListeners();
+    tab.release();
+  });
+}
+
+/**
+ * Newest tab steals the lock, which rejects the previous owner's request with an AbortError
+ * Demoted tabs queue up for the lock again, and are granted it once the owner releases it (closes)
+ * Workers only take the lock if it's available. Once demoted, they check again every WORKER_POLL_INTERVAL instead of
+ * queueing up, so demoted pages are granted the lock first, even those demoted after them.
+ * The owner also holds a writer lock, which it only releases once demoted, so the new owner waits for it before
+ * writing. If that takes longer than HANDOFF_TIMEOUT, the new owner starts out demoted, and is promoted once it's
+ * granted the writer lock.
+ */
+function coordinateWithLocks(name, { onDemote, onPromote }) {
+  const isWorkerTab = isWorker();
+  let isReleased = false,
+    isDemoted = false,
+    hasLock = false,
+    pollTimer,
+    releaseLock,
+    releaseWriterLock,
+    abortWriterRequest = () => {},
+    resolveStarted;
+  const started = new Promise(resolve => (resolveStarted = resolve));
+
+  requestLock(isWorkerTab ? { ifAvailable: true } : { steal: true });
+
+  function requestLock(options) {
+    navigator.locks
+      .request(name, options, lock => {
+        if (isReleased) return;
+        if (!lock) {
+          // Held by another tab, which workers wait for instead
+          if (!isDemoted) demote();
+          return waitForLock();
+        }
+        hasLock = true;
+        requestWriterLock();
+        // Hold lock until released or stolen
+        return new Promise(resolve => (releaseLock = resolve));
+      })
+      .catch(error => {
+        if (isReleased || error.name !== 'AbortError') return;
+        hasLock = false;
+        abortWriterRequest();
+        const demoted = isDemoted ? Promise.resolve() : demote();
+        // Let the new owner write once this tab has stopped
+        demoted
+          .catch(() => {})
+          .then(() => {
+            if (releaseWriterLock) releaseWriterLock();
+            releaseWriterLock = undefined;
+          });
+        waitForLock();
+      });
+  }
+
+  function waitForLock() {
+    if (!isWorkerTab) return requestLock({});
+    pollTimer = setTimeout(() => requestLock({ ifAvailable: true }), WORKER_POLL_INTERVAL);
+  }
+
+  function requestWriterLock() {
+    const controller = new AbortController();
+    abortWriterRequest = () => controller.abort();
+    const timer = setTimeout(() => {
+      if (!isDemoted) demote();
+    }, HANDOFF_TIMEOUT);
+
+    navigator.locks
+      .request(`${name}:writer`, { signal: controller.signal }, () => {
+        clearTimeout(timer);
+        // Released or stolen while waiting
+        if (isReleased || !hasLock) return;
+        if (isDemoted) {
+          isDemoted = false;
+          onPromote();
+        }
+        resolveStarted();
+        // Hold lock until demoted or released
+        return new Promise(resolve => (releaseWriterLock = resolve));
+      })
+      .catch(() => clearTimeout(timer));
+  }
+
+  function demote() {
+    isDemoted = true;
+    const demoted = Promise.resolve(onDemote());
+    resolveStarted();
+    return demoted;
+  }
+
+  return started.then(() => () => {
+    isReleased = true;
+    clearTimeout(pollTimer);
+    abortWriterRequest();
+    if (releaseWriterLock) releaseWriterLock();
+    if (releaseLock) releaseLock();
+  });
+}
+
+/**
+ * Each tab posts its own id when opened, alerting the owner to step down, and the others reply with theirs,
+ * so every tab knows which tabs are open. Once demoted, the owner posts the new tab's id, handing it ownership.
+ * A closing owner hands ownership to the most recently opened remaining tab (preferring pages to workers) by
+ * posting that tab's id. Ids start with the time they were created, so if two tabs are opened at once, the one
+ * created last owns the store. Workers start out demoted if any tab replies that it owns the store.
+ * @return {object} - { started: {Promise}, release: {function} }, see coordinatePage()
+ */
+function coordinateWithBroadcastChannel(name, { onDemote, onPromote }) {
+  const tabId = createTabId(),
+    channel = new BroadcastChannel(name),
+    isWorkerTab = isWorker();
+  // Ids of other open tabs, oldest first, and of those that are workers
+  let otherTabIds = [],
+    workerTabIds = [],
+    isOwner = false,
+    isDemoted = false,
+    isReleased = false,
+    // Newer tab opened before this tab was handed ownership, which it passes on
+    newerTabId,
+    resolveStarted;
+  const started = new Promise(resolve => (resolveStarted = resolve));
+
+  // Until the owner replies, or hands over ownership
+  let startTimer = setTimeout(own, REPLY_TIMEOUT);
+
+  channel.onmessage = ({ data }) => {
+    if (!data || typeof data.tabId !== 'string') return;
+
+    if (data.type === 'open' || data.type === 'present') {
+      if (!otherTabIds.includes(data.tabId)) otherTabIds = otherTabIds.concat(data.tabId).sort();
+      if (data.isWorker && !workerTabIds.includes(data.tabId)) workerTabIds = workerTabIds.concat(data.tabId);
+      if (data.type === 'present') return handleReply(data);
+      channel.postMessage({ type: 'present', tabId, isOwner: isOwner || isStarting(), isWorker: isWorkerTab });
+      // Workers don't take ownership from other tabs
+      if (data.tabId < tabId || data.isWorker) return;
+      if (isStarting()) {
+        newerTabId = data.tabId;
+      } else if (isOwner) {
+        // A new tab was opened, which owns the store once this tab has stopped writing
+        isOwner = false;
+        isDemoted = true;
+        Promise.resolve(onDemote())
+          .catch(() => {})
+          .then(() => channel.postMessage({ type: 'released', tabId, nextTabId: data.tabId }));
+      }
+    } else if (data.type === 'released' || data.type === 'close') {
+      if (data.type === 'close') {
+        otherTabIds = otherTabIds.filter(id => id !== data.tabId);
+        workerTabIds = workerTabIds.filter(id => id !== data.tabId);
+      }
+      // Ownership was handed to this tab
+      if (data.nextTabId === tabId) own();
+    }
+  };
+  // Don't keep Node processes alive just to listen for other tabs
+  if (channel.unref) channel.unref();
+  channel.postMessage({ type: 'open', tabId, isWorker: isWorkerTab });
+
+  function isStarting() {
+    return startTimer !== undefined;
+  }
+
+  function handleReply({ tabId: ownerTabId, isOwner: isReplyFromOwner }) {
+    if (!isStarting() || !isReplyFromOwner) return;
+    clearTimeout(startTimer);
+    if (ownerTabId > tabId || isWorkerTab) {
+      // Opened after this tab, which is older, or this tab is a worker
+      startTimer = undefined;
+      isDemoted = true;
+      onDemote();
+      resolveStarted();
+    } else {
+      // Wait for the owner to stop writing
+      startTimer = setTimeout(own, HANDOFF_TIMEOUT);
+    }
+  }
+
+  function own() {
+    if (isReleased) return;
+    clearTimeout(startTimer);
+    startTimer = undefined;
+    if (newerTabId) {
+      // Pass ownership on to a tab opened in the meantime, without having written anything
+      channel.postMessage({ type: 'released', tabId, nextTabId: newerTabId });
+      newerTabId = undefined;
+      if (!isDemoted) {
+        isDemoted = true;
+        onDemote();
+      }
+    } else {
+      isOwner = true;
+      if (isDemoted) {
+        isDemoted = false;
+        onPromote();
+      }
+    }
+    resolveStarted();
+  }
+
+  function release() {
+    if (isReleased) return;
+    isReleased = true;
+    clearTimeout(startTimer);
+    const pageTabIds = otherTabIds.filter(id => !workerTabIds.includes(id));
+    const nextTabIds = pageTabIds.length ? pageTabIds : otherTabIds;
+    const nextTabId = isOwner ? nextTabIds[nextTabIds.length - 1] : undefined;
+    channel.postMessage({ type: 'close', tabId, nextTabId });
+    channel.close();
+  }
+
+  return { started, release };
+}
+
+/**
+ * Each tab writes its own id to the LocalStorage key when opened, alerting the owner to step down
+ * Once demoted, the owner writes the new tab's id to another key, handing it ownership. Tab ids are also kept in a
+ * queue, so a closing owner can hand ownership to the most recent remaining tab by writing that tab's id to the key.
+ * Each tab updates the time in its queue entry every HEARTBEAT_INTERVAL, so entries of tabs that crashed (without
+ * removing theirs) are dropped once they're STALE_TAB_TIMEOUT old.
+ * @return {object} - { started: {Promise}, release: {function} }, see coordinatePage()
+ */
+function coordinateWithLocalStorage(name, { onDemote, onPromote }) {
+  const queueKey = `${name}_queue`,
+    releasedKey = `${name}_released`,
+    tabId = createTabId();
+  let isOwner = false,
+    isDemoted = false,
+    isReleased = false,
+    // Newer tab opened before this tab was handed ownership, which it passes on
+    newerTabId,
+    startTimer,
+    resolveStarted;
+  const started = new Promise(resolve => (resolveStarted = resolve));
+
+  // Throws if LocalStorage is unavailable
+  localStorage.setItem(name, tabId);
+  const queue = updateQueue(updateEntry);
+  const heartbeatTimer = setInterval(() => {
+    try {
+      updateQueue(updateEntry);
+    } catch (error) {
+      // Tried again next time
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  window.addEventListener('storage', handleStorage);
+
+  // Wait for the owner (if any tab is open) to stop writing
+  if (queue.length > 1) startTimer = setTimeout(own, HANDOFF_TIMEOUT);
+  else own();
+
+  function handleStorage(event) {
+    if (event.key === releasedKey) {
+      // Ownership was handed to this tab
+      if (event.newValue === tabId && startTimer !== undefined) own();
+    } else if (event.key !== name) {
+      return;
+    } else if (event.newValue === tabId) {
+      // Ownership was handed to this tab
+      own();
+    } else if (startTimer !== undefined) {
+      newerTabId = event.newValue;
+    } else if (isOwner) {
+      // A new tab was opened, which owns the store once this tab has stopped writing
+      const nextTabId = event.newValue;
+      isOwner = false;
+      isDemoted = true;
+      Promise.resolve(onDemote())
+        .catch(() => {})
+        .then(() => setReleased(nextTabId));
+    }
+  }
+
+  function own() {
+    clearTimeout(startTimer);
+    startTimer = undefined;
+    if (newerTabId) {
+      // Pass ownership on to a tab opened in the meantime, without having written anything
+      setReleased(newerTabId);
+      newerTabId = undefined;
+      if (!isDemoted) {
+        isDemoted = true;
+        onDemote();
+      }
+    } else {
+      isOwner = true;
+      if (isDemoted) {
+        isDemoted = false;
+        onPromote();
+      }
+    }
+    resolveStarted();
+  }
+
+  function setReleased(nextTabId) {
+    try {
+      localStorage.setItem(releasedKey, nextTabId);
+    } catch (error) {
+      // The new tab owns the store once it stops waiting
+    }
+  }
+
+  function release() {
+    if (isReleased) return;
+    isReleased = true;
+    clearTimeout(startTimer);
+    clearInterval(heartbeatTimer);
+    window.removeEventListener('storage', handleStorage);
+    try {
+      const queue = updateQueue(queue => queue.filter(entry => entry.tabId !== tabId));
+      if (isOwner && queue.length) localStorage.setItem(name, queue[queue.length - 1].tabId);
+    } catch (error) {
+      // Nothing left to hand off
+    }
+  }
+
+  /**
+   * Add this tab to the end of the queue, or update the time in its entry
+   * @param {array} queue - { tabId, updatedAt } objects, oldest tab first
+   * @return {array}
+   */
+  function updateEntry(queue) {
+    const entry = { tabId, updatedAt: Date.now() };
+    return queue.some(({ tabId: id }) => id === tabId)
+      ? queue.map(existing => (existing.tabId === tabId ? entry : existing))
+      : queue.concat(entry);
+  }
+
+  /**
+   * Read the queue of open tabs, without those that crashed, and write it back once updated
+   * @param {function} update - Called with the queue, returning the new one
+   * @return {array} - Updated queue
+   */
+  function updateQueue(update) {
+    let queue;
+    try {
+      queue = JSON.parse(localStorage.getItem(queueKey)) || [];
+    } catch (error) {
+      queue = [];
+    }
+    const now = Date.now();
+    queue = queue.filter(
+      entry => entry && typeof entry.tabId === 'string' && now - entry.updatedAt < STALE_TAB_TIMEOUT
+    );
+    queue = update(queue);
+    localStorage.setItem(queueKey, JSON.stringify(queue));
+    return queue;
+  }
+
+  return { started, release };
+}
+
+/**
+ * @return {string} - Unique id, starting with the current time
+ */
+function createTabId() {
+  return `${Date.now()}_${Math.random()
+    .toString(36)
+    .slice(2)}`;
+}
+
+/**
+ * @return {boolean} - Whether running in a Web Worker or Service Worker, which have no window
+ */
+function isWorker() {
+  return typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+}
+
+/**
+ * Wrap a tab coordinator to also demote this tab after delay milliseconds, as if a new tab was opened
+ * The simulated tab is never closed, so this tab is only promoted again if the coordinator promotes it.
+ * @param {function} coordinator - e.g. coordinateTabs
+ * @param {number} delay
+ * @return {function} - Tab coordinator
+ */
+export function simulateNewTabOpen(coordinator, delay) {
+  return (name, callbacks) => {
+    const timer = setTimeout(callbacks.onDemote, delay);
+    return Promise.resolve(coordinator(name, callbacks)).then(release => () => {
+      clearTimeout(timer);
+      release();
+    });
+  };
+}
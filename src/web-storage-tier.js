@@ -0,0 +1,93 @@
+import { encode, decode } from './serialize';
+
+/**
+ * Fallback store backed by LocalStorage or SessionStorage, so values survive page reloads
+ * Values are encoded as JSON (see serialize.js) and namespaced by key prefix.
+ */
+export default class WebStorageTier {
+  /**
+   * @param {string} name - 'localStorage' or 'sessionStorage'
+   * @param {Storage} storage - window[name], or a stand-in with the same interface
+   * @param {string} prefix - Prepended to every key, to avoid collisions with other data in storage
+   * @param {number} [maxBytes] - Approximate maximum size of all values in this tier
+   */
+  constructor(name, storage, prefix, maxBytes = Infinity) {
+    // Storage is unavailable (e.g. disabled by user, or accessed from a worker)
+    if (!storage) throw new Error(`${name} is unavailable`);
+
+    this.name = name;
+    this.storage = storage;
+    this.prefix = prefix;
+    this.maxBytes = maxBytes;
+
+    // Size of all values stored in this tier (including values stored before this page loaded)
+    this.bytes = this.keys().reduce((sum, key) => sum + this.sizeOf(key, this.storage.getItem(prefix + key)), 0);
+  }
+
+  /**
+   * Approximate size of a stored key-value pair (strings are UTF-16)
+   * @param {string} key
+   * @param {string} text - Encoded value
+   * @return {number}
+   */
+  sizeOf(key, text) {
+    return (this.prefix.length + String(key).length + text.length) * 2;
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (storageKey.startsWith(this.prefix)) keys.push(storageKey.slice(this.prefix.length));
+    }
+    return keys;
+  }
+
+  has(key) {
+    return this.storage.getItem(this.prefix + key) !== null;
+  }
+
+  get(key) {
+    const text = this.storage.getItem(this.prefix + key);
+    return text === null ? undefined : decode(text);
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @return {Promise<boolean>} - Whether value was stored
+   */
+  set(key, value) {
+    return encode(value).then(
+      text => {
+        // Value has no JSON representation (e.g. a function)
+        if (text === undefined) return false;
+
+        this.del(key);
+        const size = this.sizeOf(key, text);
+        if (this.bytes + size > this.maxBytes) return false;
+        try {
+          this.storage.setItem(this.prefix + key, text);
+        } catch (error) {
+          // Storage is full
+          return false;
+        }
+        this.bytes += size;
+        return true;
+      },
+      // Value can't be encoded
+      () => false
+    );
+  }
+
+  del(key) {
+    const text = this.storage.getItem(this.prefix + key);
+    if (text === null) return;
+    this.storage.removeItem(this.prefix + key);
+    this.bytes -= this.sizeOf(key, text);
+  }
+
+  clear() {
+    this.keys().forEach(key => this.del(key));
+  }
+}